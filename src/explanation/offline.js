@@ -0,0 +1,188 @@
+import { formatElasticity, formatSurplus, formatSurplusChange } from '../lib/format.js';
+
+// Explicación local basada en reglas de estática comparativa: no necesita red ni clave de API
+
+// Nombre de cada desplazamiento según su dirección (1 aumenta, -1 disminuye)
+const CHANGE_TEXT = {
+  demand: { 1: 'la demanda aumentó (se desplazó a la derecha)', '-1': 'la demanda disminuyó (se desplazó a la izquierda)' },
+  supply: { 1: 'la oferta aumentó (se desplazó a la derecha)', '-1': 'la oferta disminuyó (se desplazó a la izquierda)' },
+};
+
+/**
+ * Predicción de estática comparativa según la dirección de los desplazamientos.
+ * @param {1 | -1 | 0} demand Dirección del cambio de la demanda.
+ * @param {1 | -1 | 0} supply Dirección del cambio de la oferta.
+ * @returns {{ price: 1 | -1 | 0 | null, quantity: 1 | -1 | 0 | null, text: string }}
+ *   Dirección esperada del precio y la cantidad (null si es ambigua) y su justificación.
+ */
+export const predictChange = (demand, supply) => {
+  if (demand === 0 && supply === 0) {
+    return { price: 0, quantity: 0, text: 'Ninguna curva cambió, así que el equilibrio debería ser el mismo.' };
+  }
+  if (supply === 0) {
+    return demand > 0
+      ? { price: 1, quantity: 1, text: 'Con más demanda y la misma oferta, el precio y la cantidad de equilibrio suben: el mercado se mueve hacia arriba a lo largo de la oferta.' }
+      : { price: -1, quantity: -1, text: 'Con menos demanda y la misma oferta, el precio y la cantidad de equilibrio bajan: el mercado se mueve hacia abajo a lo largo de la oferta.' };
+  }
+  if (demand === 0) {
+    return supply > 0
+      ? { price: -1, quantity: 1, text: 'Con más oferta y la misma demanda, el precio baja y la cantidad sube: el mercado se mueve hacia abajo a lo largo de la demanda.' }
+      : { price: 1, quantity: -1, text: 'Con menos oferta y la misma demanda, el precio sube y la cantidad baja: el mercado se mueve hacia arriba a lo largo de la demanda.' };
+  }
+  if (demand === supply) {
+    return {
+      price: null,
+      quantity: demand,
+      text: `Cuando la demanda y la oferta ${demand > 0 ? 'aumentan' : 'disminuyen'} a la vez, la cantidad ${demand > 0 ? 'sube' : 'baja'} con seguridad, pero el efecto sobre el precio es ambiguo: depende de cuál desplazamiento es mayor.`,
+    };
+  }
+  return {
+    price: demand,
+    quantity: null,
+    text: `Cuando la demanda ${demand > 0 ? 'aumenta' : 'disminuye'} y la oferta ${supply > 0 ? 'aumenta' : 'disminuye'}, el precio ${demand > 0 ? 'sube' : 'baja'} con seguridad, pero el efecto sobre la cantidad es ambiguo: depende de cuál desplazamiento es mayor.`,
+  };
+};
+
+// Describe si un valor subió, bajó o se mantuvo entre dos equilibrios
+const describeMove = (name, before, after) => {
+  const difference = parseFloat(after) - parseFloat(before);
+  if (Math.abs(difference) < 0.005) return `${name} se mantuvo en ${after}`;
+  return `${name} ${difference > 0 ? 'subió' : 'bajó'} de ${before} a ${after}`;
+};
+
+/**
+ * Explica qué desplazamiento dominó cuando la predicción era ambigua.
+ * @param {'price' | 'quantity'} variable Variable ambigua.
+ * @param {number} difference Cambio observado de esa variable.
+ * @param {1 | -1} demand Dirección del cambio de la demanda.
+ * @returns {string} Frase con el desplazamiento dominante.
+ */
+const describeDominance = (variable, difference, demand) => {
+  if (Math.abs(difference) < 0.005) return 'Los dos desplazamientos se compensaron exactamente.';
+  // Si la variable ambigua se movió en la misma dirección que el cambio de la demanda, la demanda pesó más
+  const demandDominates = Math.sign(difference) === demand;
+  const noun = variable === 'price' ? 'el precio' : 'la cantidad';
+  return demandDominates
+    ? `En este caso ${noun} se movió en la dirección del cambio de la demanda, así que ese desplazamiento fue el dominante.`
+    : `En este caso ${noun} se movió en la dirección que impone la oferta, así que ese desplazamiento fue el dominante.`;
+};
+
+/**
+ * Genera una explicación estructurada en español a partir de los resultados del cálculo, sin usar la red.
+ * @param {object} data Mismos datos que buildExplanationPrompt.
+ * @returns {string} Explicación en texto plano (una sección por estado del mercado).
+ */
+export const explainOffline = ({ markets, priceControl, taxResult, error }) => {
+  const sections = [];
+
+  if (error) {
+    sections.push([
+      'Aviso',
+      `• ${error}`,
+      '• Si las curvas no se cruzan con precio y cantidad positivos, no existe un equilibrio económicamente válido: a ningún precio coinciden los planes de compradores y vendedores.',
+    ]);
+  }
+
+  markets.forEach((market, index) => {
+    const primary = market.equilibria[0];
+    const previous = index > 0 ? markets[index - 1] : null;
+    const lines = [previous ? `${market.label} — ${market.name} (respecto a ${previous.label})` : 'Equilibrio original (E0)'];
+
+    if (!previous) {
+      if (primary) {
+        lines.push(`• El mercado se equilibra en P = ${primary.price} y Q = ${primary.quantity}: a ese precio los consumidores quieren comprar exactamente lo que los productores quieren vender.`);
+        lines.push('• Si el precio fuera mayor, la cantidad ofrecida superaría a la demandada (excedente) y la competencia entre vendedores haría bajar el precio.');
+        lines.push('• Si el precio fuera menor, la cantidad demandada superaría a la ofrecida (escasez) y los compradores presionarían el precio al alza.');
+      } else {
+        lines.push('• No hay un equilibrio válido con las curvas originales.');
+      }
+      if (market.equilibria.length > 1) {
+        lines.push(`• Las curvas se cruzan ${market.equilibria.length} veces; se toma como principal el cruce de menor precio.`);
+      }
+    } else {
+      const changes = market.changes || { demand: null, supply: null };
+      const moved = ['demand', 'supply']
+        .filter((side) => changes[side] === 1 || changes[side] === -1)
+        .map((side) => CHANGE_TEXT[side][changes[side]]);
+      const unknown = ['demand', 'supply'].filter((side) => changes[side] === null);
+      if (moved.length > 0) {
+        lines.push(`• Qué se movió: ${moved.join(' y ')}${moved.length === 1 && unknown.length === 0 ? `; la ${changes.demand === 0 ? 'demanda' : 'oferta'} no cambió` : ''}.`);
+      } else if (unknown.length === 0) {
+        lines.push('• Qué se movió: ninguna curva cambió respecto al estado anterior.');
+      }
+      if (unknown.length > 0) {
+        lines.push(`• No se pudo determinar la dirección del cambio de la ${unknown.map((side) => (side === 'demand' ? 'demanda' : 'oferta')).join(' ni de la ')}.`);
+      }
+
+      const prediction = unknown.length === 0 ? predictChange(changes.demand, changes.supply) : null;
+      if (prediction) lines.push(`• Predicción: ${prediction.text}`);
+
+      const adjustment = market.adjustment;
+      if (adjustment && Math.abs(adjustment.quantityDemanded - adjustment.quantitySupplied) >= 0.005) {
+        const gap = adjustment.quantityDemanded - adjustment.quantitySupplied;
+        lines.push(gap > 0
+          ? `• Ajuste: al precio anterior (${adjustment.price.toFixed(2)}) ahora se demandan ${adjustment.quantityDemanded.toFixed(2)} unidades y se ofrecen ${adjustment.quantitySupplied.toFixed(2)}: la escasez de ${gap.toFixed(2)} unidades empuja el precio hacia arriba.`
+          : `• Ajuste: al precio anterior (${adjustment.price.toFixed(2)}) ahora se demandan ${adjustment.quantityDemanded.toFixed(2)} unidades y se ofrecen ${adjustment.quantitySupplied.toFixed(2)}: el excedente de ${(-gap).toFixed(2)} unidades empuja el precio hacia abajo.`);
+      }
+
+      const before = previous.equilibria[0];
+      if (primary && before) {
+        lines.push(`• Resultado: ${describeMove('el precio', before.price, primary.price)} y ${describeMove('la cantidad', before.quantity, primary.quantity)}.`);
+        if (prediction && prediction.price === null) {
+          lines.push(`• ${describeDominance('price', parseFloat(primary.price) - parseFloat(before.price), changes.demand)}`);
+        }
+        if (prediction && prediction.quantity === null) {
+          lines.push(`• ${describeDominance('quantity', parseFloat(primary.quantity) - parseFloat(before.quantity), changes.demand)}`);
+        }
+      } else if (!primary) {
+        lines.push('• No hay un equilibrio válido en este escenario.');
+      }
+    }
+
+    if (market.welfare) {
+      lines.push(`• Bienestar en ${market.label}: excedente del consumidor ${formatSurplus(market.welfare.consumer)}, excedente del productor ${formatSurplus(market.welfare.producer)}, total ${formatSurplus(market.welfare.total)}.`);
+      if (previous && previous.welfare) {
+        lines.push(`• Cambio de bienestar: consumidores ${formatSurplusChange(previous.welfare.consumer, market.welfare.consumer)}, productores ${formatSurplusChange(previous.welfare.producer, market.welfare.producer)}, total ${formatSurplusChange(previous.welfare.total, market.welfare.total)}.`);
+      }
+    }
+    if (market.elasticities) {
+      lines.push(`• Elasticidad precio en ${market.label}: demanda ${formatElasticity(market.elasticities.demand)}, oferta ${formatElasticity(market.elasticities.supply)}.`);
+    }
+    sections.push(lines);
+  });
+
+  if (priceControl) {
+    const name = priceControl.type === 'ceiling' ? 'precio máximo' : 'precio mínimo';
+    sections.push([
+      `${name[0].toUpperCase()}${name.slice(1)} de ${priceControl.price.toFixed(2)} (frente a ${priceControl.reference})`,
+      priceControl.binding
+        ? `• Es efectivo: a ese precio se demandan ${priceControl.quantityDemanded.toFixed(2)} y se ofrecen ${priceControl.quantitySupplied.toFixed(2)} unidades, lo que deja ${priceControl.gapType === 'escasez' ? 'una escasez' : 'un excedente'} de ${priceControl.gap.toFixed(2)} unidades que el precio no puede corregir por estar fijado por ley.`
+        : `• No es efectivo: el mercado puede seguir en su equilibrio (${priceControl.equilibriumPrice.toFixed(2)}) sin violar el control.`,
+      ...(priceControl.binding ? [`• Solo se intercambian ${priceControl.tradedQuantity.toFixed(2)} unidades y la pérdida irrecuperable de eficiencia es ${priceControl.deadweightLoss.toFixed(2)}.`] : []),
+    ]);
+  }
+
+  if (taxResult) {
+    const isTax = taxResult.mode === 'tax';
+    sections.push([
+      `${isTax ? 'Impuesto' : 'Subsidio'} (frente a ${taxResult.reference})`,
+      `• Los compradores pagan ${taxResult.buyerPrice.toFixed(2)} y los vendedores reciben ${taxResult.sellerPrice.toFixed(2)}; la cantidad pasa de ${taxResult.equilibriumQuantity.toFixed(2)} a ${taxResult.quantity.toFixed(2)}.`,
+      `• ${isTax ? 'La carga' : 'El beneficio'} se reparte ${(taxResult.buyerShare * 100).toFixed(1)}% para los compradores y ${(taxResult.sellerShare * 100).toFixed(1)}% para los vendedores${taxResult.kind === 'specific'
+        ? ', sin importar a quién se aplique legalmente: lo decide qué lado es menos elástico.'
+        : `: lo decide qué lado es menos elástico y, al ser un porcentaje, también sobre qué precio se calcula (el de ${taxResult.payer === 'sellers' ? 'compra, porque se aplica a los vendedores' : 'venta, porque se aplica a los compradores'}).`}`,
+      `• ${isTax ? 'Recaudación' : 'Costo fiscal'}: ${taxResult.fiscalAmount.toFixed(2)}; pérdida irrecuperable de eficiencia: ${taxResult.deadweightLoss.toFixed(2)}.`,
+    ]);
+  }
+
+  return sections.map((lines) => lines.join('\n')).join('\n\n');
+};
+
+/**
+ * Proveedor de explicaciones local: usa los datos del cálculo (no el prompt) y responde al instante.
+ * @returns {{ id: string, label: string, explain: (prompt: string, options?: { context?: object }) => Promise<string> }}
+ */
+export const createOfflineProvider = () => ({
+  id: 'offline',
+  label: 'Sin conexión',
+  explain: async (prompt, { context } = {}) => explainOffline(context),
+});
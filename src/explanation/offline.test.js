@@ -0,0 +1,72 @@
+import { describe, expect, it } from 'vitest';
+import { explainOffline, predictChange } from './offline.js';
+
+// Estado del mercado con lo mínimo que usa la explicación local
+const market = (label, price, quantity, changes = null) => ({
+  key: label, label, name: label, equilibria: [{ price, quantity }], changes, welfare: null, elasticities: null,
+});
+
+// Explicación de un cambio de E0 (P = 6, Q = 10) a E1
+const explainShift = (changes, price, quantity) => explainOffline({
+  markets: [market('E0', '6.00', '10.00'), market('E1', price, quantity, changes)],
+  priceControl: null,
+  taxResult: null,
+  error: '',
+});
+
+describe('predictChange', () => {
+  it('predice precio y cantidad cuando se mueve una sola curva', () => {
+    expect(predictChange(1, 0)).toMatchObject({ price: 1, quantity: 1 });
+    expect(predictChange(-1, 0)).toMatchObject({ price: -1, quantity: -1 });
+    expect(predictChange(0, 1)).toMatchObject({ price: -1, quantity: 1 });
+    expect(predictChange(0, -1)).toMatchObject({ price: 1, quantity: -1 });
+  });
+
+  it('deja ambiguo el precio si las dos curvas se mueven en la misma dirección', () => {
+    expect(predictChange(1, 1)).toMatchObject({ price: null, quantity: 1 });
+    expect(predictChange(-1, -1)).toMatchObject({ price: null, quantity: -1 });
+  });
+
+  it('deja ambigua la cantidad si las curvas se mueven en direcciones opuestas', () => {
+    expect(predictChange(1, -1)).toMatchObject({ price: 1, quantity: null });
+    expect(predictChange(-1, 1)).toMatchObject({ price: -1, quantity: null });
+  });
+
+  it('no predice cambios si ninguna curva se movió', () => {
+    expect(predictChange(0, 0)).toMatchObject({ price: 0, quantity: 0 });
+  });
+});
+
+describe('explainOffline', () => {
+  it('indica qué desplazamiento dominó cuando el precio era ambiguo', () => {
+    expect(explainShift({ demand: 1, supply: 1 }, '7.00', '14.00')).toContain('el precio se movió en la dirección del cambio de la demanda');
+    expect(explainShift({ demand: 1, supply: 1 }, '5.00', '14.00')).toContain('el precio se movió en la dirección que impone la oferta');
+    expect(explainShift({ demand: 1, supply: 1 }, '6.00', '14.00')).toContain('se compensaron exactamente');
+  });
+
+  it('indica qué desplazamiento dominó cuando la cantidad era ambigua', () => {
+    const text = explainShift({ demand: 1, supply: -1 }, '9.00', '8.00');
+    expect(text).toContain('el efecto sobre la cantidad es ambiguo');
+    expect(text).toContain('la cantidad se movió en la dirección que impone la oferta');
+    expect(text).not.toContain('el precio se movió');
+  });
+
+  it('con una sola curva desplazada nombra la que no cambió y no habla de dominancia', () => {
+    const text = explainShift({ demand: 0, supply: 1 }, '5.00', '11.00');
+    expect(text).toContain('la oferta aumentó (se desplazó a la derecha); la demanda no cambió');
+    expect(text).toContain('el precio bajó de 6.00 a 5.00 y la cantidad subió de 10.00 a 11.00');
+    expect(text).not.toContain('dominante');
+  });
+
+  it('explica que el equilibrio no cambia si ninguna curva se movió', () => {
+    const text = explainShift({ demand: 0, supply: 0 }, '6.00', '10.00');
+    expect(text).toContain('ninguna curva cambió respecto al estado anterior');
+    expect(text).toContain('el precio se mantuvo en 6.00 y la cantidad se mantuvo en 10.00');
+  });
+
+  it('no hace predicciones si no se conoce la dirección de un cambio', () => {
+    const text = explainShift({ demand: 1, supply: null }, '7.00', '11.00');
+    expect(text).toContain('No se pudo determinar la dirección del cambio de la oferta');
+    expect(text).not.toContain('Predicción');
+  });
+});
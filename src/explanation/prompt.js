@@ -0,0 +1,112 @@
+import { formatElasticity, formatSurplus } from '../lib/format.js';
+
+/**
+ * Arma el texto que se envía al proveedor de explicaciones a partir de los resultados calculados.
+ * No depende de la red, así que se puede probar con un proveedor simulado.
+ * @param {object} data Resultados del cálculo.
+ * @param {string} data.demandEq Descripción de la demanda original.
+ * @param {string} data.supplyEq Descripción de la oferta original.
+ * @param {Array<object>} data.markets Estados del mercado (E0 y escenarios visibles).
+ * @param {object | null} data.priceControl Resultado del control de precios.
+ * @param {object | null} data.taxResult Resultado del impuesto o subsidio.
+ * @param {string} data.error Mensaje de error del cálculo ('' si no hay).
+ * @returns {string} Prompt en español.
+ */
+export const buildExplanationPrompt = ({ demandEq, supplyEq, markets, priceControl, taxResult, error }) => {
+  let prompt = `
+      Estamos analizando un mercado con las siguientes ecuaciones de oferta y demanda:
+      - Ecuación de Demanda (Qd): ${demandEq}
+      - Ecuación de Oferta (Qs): ${supplyEq}
+  `;
+
+  const describeCrossings = (market) => market.equilibria.map(eq => `(Q = ${eq.quantity}, P = ${eq.price})`).join(', ');
+
+  markets.forEach((market, index) => {
+      const primary = market.equilibria[0];
+      if (index === 0) {
+          if (primary) {
+              prompt += `
+      El punto de equilibrio inicial (E0) es:
+      - Precio de Equilibrio (P_E inicial): ${primary.price}
+      - Cantidad de Equilibrio (Q_E inicial): ${primary.quantity}
+      `;
+          }
+      } else {
+          prompt += `
+      Escenario «${market.name}» (${market.label}), comparado con ${markets[index - 1].label}:
+      - Ecuación de Demanda: ${market.demandEq}, desplazamiento de la Demanda: ${market.demandShift}
+      - Ecuación de Oferta: ${market.supplyEq}, desplazamiento de la Oferta: ${market.supplyShift}
+      ${primary
+        ? `- Precio de Equilibrio: ${primary.price}, Cantidad de Equilibrio: ${primary.quantity}`
+        : '- No se encontró un punto de equilibrio válido en este escenario.'}
+      `;
+      }
+      if (market.equilibria.length > 1) {
+          prompt += `
+      Las curvas de ${market.label} se cruzan en ${market.equilibria.length} puntos: ${describeCrossings(market)}.
+      `;
+      }
+      if (market.breakdown) {
+          const describeBreakdown = (breakdown) => breakdown.map(({ name, quantity }) => `${name} ${quantity.toFixed(2)}`).join(', ');
+          prompt += `
+      Cantidades por participante en ${market.label}: consumidores (${describeBreakdown(market.breakdown.consumers)}); empresas (${describeBreakdown(market.breakdown.firms)}).
+      `;
+      }
+      if (market.welfare) {
+          prompt += `
+      Excedentes en ${market.label}: excedente del consumidor ${formatSurplus(market.welfare.consumer)}, excedente del productor ${formatSurplus(market.welfare.producer)}, bienestar total ${formatSurplus(market.welfare.total)}.
+      `;
+      }
+      if (market.elasticities) {
+          prompt += `
+      Elasticidad precio en ${market.label}: demanda ${formatElasticity(market.elasticities.demand)}, oferta ${formatElasticity(market.elasticities.supply)}.
+      `;
+      }
+      if (market.arc) {
+          prompt += `
+      Elasticidad arco entre ${market.arc.from} y ${market.label}: ${formatElasticity(market.arc.value)}.
+      `;
+      }
+  });
+
+  if (priceControl) {
+      prompt += `
+      Se fijó un ${priceControl.type === 'ceiling' ? 'precio máximo' : 'precio mínimo'} de ${priceControl.price.toFixed(2)} (precio de equilibrio de referencia: ${priceControl.equilibriumPrice.toFixed(2)}).
+      A ese precio la cantidad demandada es ${priceControl.quantityDemanded.toFixed(2)} y la ofrecida es ${priceControl.quantitySupplied.toFixed(2)}.
+      ${priceControl.binding
+        ? `El control es efectivo: genera ${priceControl.gapType === 'escasez' ? 'una escasez' : 'un excedente'} de ${priceControl.gap.toFixed(2)} unidades y una pérdida irrecuperable de eficiencia de ${priceControl.deadweightLoss.toFixed(2)}.`
+        : 'El control no es efectivo, por lo que el mercado permanece en equilibrio.'}
+      `;
+  }
+
+  if (taxResult) {
+      prompt += `
+      Se aplicó un ${taxResult.mode === 'tax' ? 'impuesto' : 'subsidio'} ${taxResult.kind === 'specific' ? `específico de ${taxResult.amount} por unidad` : `ad valorem del ${taxResult.amount}%`} a los ${taxResult.payer === 'sellers' ? 'vendedores' : 'compradores'}.
+      Los compradores pagan ${taxResult.buyerPrice.toFixed(2)}, los vendedores reciben ${taxResult.sellerPrice.toFixed(2)} y se intercambian ${taxResult.quantity.toFixed(2)} unidades.
+      ${taxResult.mode === 'tax' ? 'La recaudación' : 'El costo fiscal'} es ${taxResult.fiscalAmount.toFixed(2)}; los compradores asumen el ${(taxResult.buyerShare * 100).toFixed(1)}% y los vendedores el ${(taxResult.sellerShare * 100).toFixed(1)}%. La pérdida irrecuperable es ${taxResult.deadweightLoss.toFixed(2)}.
+      `;
+  }
+
+  if (error) {
+      prompt += `
+      Además, se ha detectado el siguiente error en el cálculo: ${error}. Por favor, explica qué podría significar este error en el contexto económico (por ejemplo, si las curvas son paralelas o si el equilibrio es negativo).
+      `;
+  }
+
+
+  prompt += `
+      Por favor, proporciona una explicación detallada de lo que significan estos resultados en el contexto de la economía.
+      Incluye los siguientes puntos:
+      1.  Una breve descripción de qué representa la curva de demanda y cómo se relaciona con el comportamiento del consumidor.
+      2.  Una breve descripción de qué representa la curva de oferta y cómo se relaciona con el comportamiento del productor.
+      3.  Explica por qué el punto de equilibrio es crucial para el mercado.
+      4.  Describe qué sucedería si el precio estuviera por encima del precio de equilibrio (exceso de oferta o excedente) y cómo el mercado tiende a corregirse.
+      5.  Describe qué sucedería si el precio estuviera por debajo del precio de equilibrio (exceso de demanda o escasez) y cómo el mercado tiende a corregirse.
+      6.  **Si hay escenarios, explica cómo cada uno desplazó las curvas y el punto de equilibrio (precio y cantidad) respecto al anterior.**
+      7.  Interpreta los excedentes del consumidor y del productor y, si hubo escenarios, quién gana o pierde bienestar.
+
+      Mantén la explicación concisa, clara, y didáctica, ideal para alguien que está aprendiendo conceptos básicos de economía.
+  `;
+
+  return prompt;
+};
@@ -0,0 +1,175 @@
+// Proveedores de explicaciones: cada uno expone explain(prompt, { signal, context }) y devuelve el texto generado.
+// context son los datos con que se armó el prompt (el proveedor sin conexión los usa en lugar del texto).
+// Los adaptadores reciben fetch como parámetro para poder probarlos sin red.
+
+// Tiempo máximo de espera por defecto para una explicación remota (ms)
+export const DEFAULT_TIMEOUT_MS = 30000;
+
+/**
+ * Error de un proveedor de explicaciones con un mensaje listo para mostrarse al usuario.
+ * code: 'config' (falta configuración), 'timeout', 'cancelled', 'network', 'http' o 'response' (respuesta inesperada).
+ */
+export class ExplanationError extends Error {
+  constructor(message, code, cause) {
+    super(message);
+    this.name = 'ExplanationError';
+    this.code = code;
+    this.cause = cause;
+  }
+}
+
+/**
+ * Envía un POST con cuerpo JSON y devuelve la respuesta interpretada como JSON.
+ * Convierte los fallos de red y los códigos HTTP de error en ExplanationError.
+ * @param {Function} fetchImpl Implementación de fetch.
+ * @param {string} url Dirección del servicio.
+ * @param {object} options Cabeceras, cuerpo y señal de cancelación.
+ * @param {string} serviceName Nombre del servicio para los mensajes de error.
+ * @returns {Promise<object>} Cuerpo de la respuesta.
+ */
+const postJson = async (fetchImpl, url, { headers = {}, body, signal }, serviceName) => {
+  let response;
+  try {
+    response = await fetchImpl(url, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json', ...headers },
+      body: JSON.stringify(body),
+      signal,
+    });
+  } catch (e) {
+    if (e && e.name === 'AbortError') throw e;
+    throw new ExplanationError(`No se pudo conectar con ${serviceName}. Revisa tu conexión a internet o la dirección del servidor.`, 'network', e);
+  }
+
+  let result = null;
+  try {
+    result = await response.json();
+  } catch (e) {
+    if (e && e.name === 'AbortError') throw e;
+    if (response.ok) throw new ExplanationError(`${serviceName} devolvió una respuesta que no es JSON.`, 'response', e);
+  }
+
+  if (!response.ok) {
+    const detail = result && result.error && (result.error.message || result.error);
+    const hint = response.status === 401 || response.status === 403 ? ' Revisa la clave de API.' : '';
+    throw new ExplanationError(
+      `${serviceName} respondió con el error ${response.status}${typeof detail === 'string' ? `: ${detail}` : ''}.${hint}`,
+      'http',
+    );
+  }
+  return result;
+};
+
+/**
+ * Adaptador para la API de Gemini (generateContent).
+ * @param {object} options Configuración.
+ * @param {string} options.apiKey Clave de API del usuario.
+ * @param {string} [options.model] Modelo a usar.
+ * @param {Function} [options.fetchImpl] Implementación de fetch.
+ * @returns {{ id: string, label: string, explain: (prompt: string, options?: { signal?: AbortSignal }) => Promise<string> }}
+ */
+export const createGeminiProvider = ({ apiKey, model = 'gemini-2.0-flash', fetchImpl = globalThis.fetch }) => ({
+  id: 'gemini',
+  label: 'Gemini',
+  explain: async (prompt, { signal } = {}) => {
+    if (!apiKey) throw new ExplanationError('Configura una clave de API de Gemini para generar la explicación.', 'config');
+    const result = await postJson(
+      fetchImpl,
+      `https://generativelanguage.googleapis.com/v1beta/models/${encodeURIComponent(model)}:generateContent`,
+      {
+        headers: { 'x-goog-api-key': apiKey },
+        body: { contents: [{ role: 'user', parts: [{ text: prompt }] }] },
+        signal,
+      },
+      'Gemini',
+    );
+    const candidate = result && Array.isArray(result.candidates) ? result.candidates[0] : null;
+    const parts = candidate && candidate.content && Array.isArray(candidate.content.parts) ? candidate.content.parts : [];
+    const text = parts.map((part) => part.text || '').join('').trim();
+    if (!text) {
+      const blocked = result && result.promptFeedback && result.promptFeedback.blockReason;
+      throw new ExplanationError(
+        blocked ? `Gemini bloqueó la solicitud (${blocked}).` : 'Gemini no devolvió ningún texto. Inténtalo de nuevo.',
+        'response',
+      );
+    }
+    return text;
+  },
+});
+
+/**
+ * Adaptador para cualquier servicio compatible con la API de OpenAI (/chat/completions),
+ * incluidos servidores locales como Ollama o LM Studio, que no necesitan clave.
+ * @param {object} options Configuración.
+ * @param {string} options.baseUrl Dirección base (ej. "https://api.openai.com/v1" o "http://localhost:11434/v1").
+ * @param {string} [options.apiKey] Clave de API (opcional para servidores locales).
+ * @param {string} options.model Modelo a usar.
+ * @param {Function} [options.fetchImpl] Implementación de fetch.
+ * @returns {{ id: string, label: string, explain: (prompt: string, options?: { signal?: AbortSignal }) => Promise<string> }}
+ */
+export const createOpenAICompatibleProvider = ({ baseUrl, apiKey = '', model, fetchImpl = globalThis.fetch }) => ({
+  id: 'openai',
+  label: 'Compatible con OpenAI',
+  explain: async (prompt, { signal } = {}) => {
+    if (!baseUrl) throw new ExplanationError('Configura la dirección del servidor compatible con OpenAI.', 'config');
+    if (!model) throw new ExplanationError('Configura el modelo del servidor compatible con OpenAI.', 'config');
+    const result = await postJson(
+      fetchImpl,
+      `${baseUrl.replace(/\/+$/, '')}/chat/completions`,
+      {
+        headers: apiKey ? { Authorization: `Bearer ${apiKey}` } : {},
+        body: { model, messages: [{ role: 'user', content: prompt }] },
+        signal,
+      },
+      'el servidor compatible con OpenAI',
+    );
+    const choice = result && Array.isArray(result.choices) ? result.choices[0] : null;
+    const text = choice && choice.message && typeof choice.message.content === 'string' ? choice.message.content.trim() : '';
+    if (!text) throw new ExplanationError('El servidor compatible con OpenAI no devolvió ningún texto.', 'response');
+    return text;
+  },
+});
+
+/**
+ * Pide una explicación a un proveedor con tiempo límite y cancelación.
+ * @param {{ explain: Function }} provider Proveedor de explicaciones.
+ * @param {string} prompt Texto a explicar.
+ * @param {object} [options] Opciones.
+ * @param {AbortSignal} [options.signal] Señal para cancelar desde la interfaz.
+ * @param {number} [options.timeoutMs] Tiempo máximo de espera.
+ * @param {object} [options.context] Datos del cálculo con que se armó el prompt.
+ * @returns {Promise<string>} Explicación generada.
+ */
+export const requestExplanation = async (provider, prompt, { signal, timeoutMs = DEFAULT_TIMEOUT_MS, context } = {}) => {
+  if (signal && signal.aborted) throw new ExplanationError('Se canceló la explicación.', 'cancelled');
+
+  // Un solo controlador combina la cancelación del usuario y el tiempo límite
+  const controller = new AbortController();
+  let timedOut = false;
+  const timer = setTimeout(() => {
+    timedOut = true;
+    controller.abort();
+  }, timeoutMs);
+  const onAbort = () => controller.abort();
+  if (signal) signal.addEventListener('abort', onAbort);
+
+  // La promesa se rechaza al abortar aunque el proveedor no respete la señal
+  const aborted = new Promise((resolve, reject) => {
+    controller.signal.addEventListener('abort', () => reject(
+      timedOut
+        ? new ExplanationError(`La explicación tardó más de ${Math.round(timeoutMs / 1000)} segundos. Inténtalo de nuevo.`, 'timeout')
+        : new ExplanationError('Se canceló la explicación.', 'cancelled'),
+    ));
+  });
+
+  try {
+    return await Promise.race([provider.explain(prompt, { signal: controller.signal, context }), aborted]);
+  } catch (e) {
+    if (e instanceof ExplanationError) throw e;
+    if (controller.signal.aborted) return aborted;
+    throw new ExplanationError('No se pudo generar la explicación.', 'response', e);
+  } finally {
+    clearTimeout(timer);
+    if (signal) signal.removeEventListener('abort', onAbort);
+  }
+};
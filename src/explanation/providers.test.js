@@ -0,0 +1,67 @@
+import { describe, expect, it } from 'vitest';
+import { createGeminiProvider, createOpenAICompatibleProvider, ExplanationError, requestExplanation } from './providers.js';
+import { createOfflineProvider } from './offline.js';
+
+// fetch simulado que responde siempre con el mismo cuerpo y código HTTP
+const respondWith = (body, status = 200) => async () => ({ ok: status < 400, status, json: async () => body });
+
+// fetch simulado que solo termina cuando se aborta la solicitud
+const neverResponds = (url, { signal }) => new Promise((resolve, reject) => {
+  signal.addEventListener('abort', () => reject(Object.assign(new Error('aborted'), { name: 'AbortError' })));
+});
+
+// Ejecuta la solicitud y devuelve el código del ExplanationError que produjo
+const failureCode = async (provider, options) => {
+  try {
+    await requestExplanation(provider, 'prompt', options);
+  } catch (e) {
+    expect(e).toBeInstanceOf(ExplanationError);
+    return e.code;
+  }
+  throw new Error('La solicitud no falló');
+};
+
+describe('requestExplanation', () => {
+  it('une el texto de la respuesta de Gemini', async () => {
+    const provider = createGeminiProvider({ apiKey: 'clave', fetchImpl: respondWith({ candidates: [{ content: { parts: [{ text: 'Hola' }, { text: ' mundo' }] } }] }) });
+    await expect(requestExplanation(provider, 'prompt')).resolves.toBe('Hola mundo');
+  });
+
+  it('envía el prompt al servidor compatible con OpenAI', async () => {
+    const calls = [];
+    const fetchImpl = async (url, options) => {
+      calls.push({ url, body: JSON.parse(options.body) });
+      return { ok: true, status: 200, json: async () => ({ choices: [{ message: { content: 'Respuesta' } }] }) };
+    };
+    const provider = createOpenAICompatibleProvider({ baseUrl: 'http://localhost:11434/v1/', model: 'llama3.1', fetchImpl });
+    await expect(requestExplanation(provider, 'prompt')).resolves.toBe('Respuesta');
+    expect(calls).toEqual([{ url: 'http://localhost:11434/v1/chat/completions', body: { model: 'llama3.1', messages: [{ role: 'user', content: 'prompt' }] } }]);
+  });
+
+  it('clasifica los fallos del proveedor', async () => {
+    expect(await failureCode(createGeminiProvider({ apiKey: '', fetchImpl: respondWith({}) }))).toBe('config');
+    expect(await failureCode(createGeminiProvider({ apiKey: 'clave', fetchImpl: respondWith({ error: { message: 'API key not valid' } }, 403) }))).toBe('http');
+    expect(await failureCode(createGeminiProvider({ apiKey: 'clave', fetchImpl: respondWith({ promptFeedback: { blockReason: 'SAFETY' } }) }))).toBe('response');
+    const offline = async () => { throw new TypeError('Failed to fetch'); };
+    expect(await failureCode(createOpenAICompatibleProvider({ baseUrl: 'http://x', model: 'm', fetchImpl: offline }))).toBe('network');
+  });
+
+  it('corta la solicitud por tiempo o por cancelación', async () => {
+    const provider = createOpenAICompatibleProvider({ baseUrl: 'http://x', model: 'm', fetchImpl: neverResponds });
+    expect(await failureCode(provider, { timeoutMs: 20 })).toBe('timeout');
+    const controller = new AbortController();
+    setTimeout(() => controller.abort(), 10);
+    // Un proveedor que ignora la señal también se cancela
+    expect(await failureCode({ explain: () => new Promise(() => {}) }, { signal: controller.signal })).toBe('cancelled');
+  });
+
+  it('el proveedor sin conexión responde con los datos del cálculo', async () => {
+    const context = {
+      markets: [{ key: 'original', label: 'E0', name: 'Original', equilibria: [{ price: '6.00', quantity: '10.00' }], welfare: null, elasticities: null }],
+      priceControl: null,
+      taxResult: null,
+      error: '',
+    };
+    await expect(requestExplanation(createOfflineProvider(), 'prompt', { context })).resolves.toContain('P = 6.00 y Q = 10.00');
+  });
+});
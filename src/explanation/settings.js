@@ -0,0 +1,65 @@
+import { createGeminiProvider, createOpenAICompatibleProvider } from './providers.js';
+import { createOfflineProvider } from './offline.js';
+import { readJson, writeJson } from '../lib/storage.js';
+
+// Clave de localStorage donde se guarda la configuración (incluida la clave de API) solo en este navegador
+const STORAGE_KEY = 'oferta-demanda:explicacion';
+
+// Configuración inicial: la explicación sin conexión funciona sin red ni clave
+export const DEFAULT_PROVIDER_SETTINGS = {
+  provider: 'offline',
+  fallbackToOffline: true, // Si el proveedor remoto falla, mostrar la explicación sin conexión
+  geminiApiKey: '',
+  geminiModel: 'gemini-2.0-flash',
+  openaiBaseUrl: 'http://localhost:11434/v1',
+  openaiApiKey: '',
+  openaiModel: 'llama3.1',
+};
+
+const PROVIDERS = ['offline', 'gemini', 'openai']; // Proveedores que se pueden elegir
+
+// Un campo guardado es válido si es del mismo tipo que su valor por defecto (y, el proveedor, uno conocido)
+const isValidSetting = (key, value) => (key === 'provider'
+  ? PROVIDERS.includes(value)
+  : typeof value === typeof DEFAULT_PROVIDER_SETTINGS[key]);
+
+/**
+ * Lee la configuración guardada en el navegador. Solo se conservan los campos conocidos con un valor válido.
+ * @param {Storage} [storage] Almacenamiento a usar (localStorage por defecto).
+ * @returns {object} Configuración completa (los campos faltantes o dañados toman el valor por defecto).
+ */
+export const loadProviderSettings = (storage = globalThis.localStorage) => {
+  const saved = readJson(STORAGE_KEY, null, storage);
+  const stored = saved !== null && typeof saved === 'object' ? saved : {};
+  return Object.fromEntries(Object.entries(DEFAULT_PROVIDER_SETTINGS)
+    .map(([key, fallback]) => [key, isValidSetting(key, stored[key]) ? stored[key] : fallback]));
+};
+
+/**
+ * Guarda la configuración en el navegador.
+ * @param {object} settings Configuración a guardar.
+ * @param {Storage} [storage] Almacenamiento a usar (localStorage por defecto).
+ */
+export const saveProviderSettings = (settings, storage = globalThis.localStorage) => {
+  // Sin almacenamiento (modo privado o cuota llena) la configuración solo dura esta sesión
+  writeJson(STORAGE_KEY, settings, storage);
+};
+
+/**
+ * Crea el proveedor de explicaciones elegido en la configuración.
+ * @param {object} settings Configuración (loadProviderSettings).
+ * @param {Function} [fetchImpl] Implementación de fetch.
+ * @returns {{ id: string, label: string, explain: Function }} Proveedor listo para usarse.
+ */
+export const createProvider = (settings, fetchImpl = globalThis.fetch) => {
+  if (settings.provider === 'offline') return createOfflineProvider();
+  if (settings.provider === 'openai') {
+    return createOpenAICompatibleProvider({
+      baseUrl: settings.openaiBaseUrl.trim(),
+      apiKey: settings.openaiApiKey.trim(),
+      model: settings.openaiModel.trim(),
+      fetchImpl,
+    });
+  }
+  return createGeminiProvider({ apiKey: settings.geminiApiKey.trim(), model: settings.geminiModel.trim() || undefined, fetchImpl });
+};
@@ -0,0 +1,27 @@
+import { describe, expect, it } from 'vitest';
+import { createMemoryStorage } from '../test/memoryStorage.js';
+import { createProvider, DEFAULT_PROVIDER_SETTINGS, loadProviderSettings, saveProviderSettings } from './settings.js';
+
+// Almacenamiento con la configuración ya guardada
+const storedSettings = (value) => createMemoryStorage({ 'oferta-demanda:explicacion': JSON.stringify(value) });
+
+describe('configuración del proveedor', () => {
+  it('guarda y lee la configuración, completando los campos faltantes', () => {
+    const storage = createMemoryStorage();
+    saveProviderSettings({ ...DEFAULT_PROVIDER_SETTINGS, provider: 'openai', openaiModel: 'qwen2.5' }, storage);
+    expect(loadProviderSettings(storage)).toEqual({ ...DEFAULT_PROVIDER_SETTINGS, provider: 'openai', openaiModel: 'qwen2.5' });
+    expect(loadProviderSettings(storedSettings({ geminiApiKey: 'clave' }))).toEqual({ ...DEFAULT_PROVIDER_SETTINGS, geminiApiKey: 'clave' });
+  });
+
+  it('descarta los campos dañados o desconocidos y usa los valores por defecto', () => {
+    const settings = loadProviderSettings(storedSettings({
+      provider: 'openai', openaiBaseUrl: 42, openaiModel: null, geminiApiKey: ['x'], fallbackToOffline: 'sí', extra: 'nada',
+    }));
+    expect(settings).toEqual({ ...DEFAULT_PROVIDER_SETTINGS, provider: 'openai' });
+    // Con la configuración corregida el proveedor se crea sin fallar
+    expect(createProvider(settings).id).toBe('openai');
+    expect(loadProviderSettings(storedSettings({ provider: 'desconocido' })).provider).toBe('offline');
+    expect(loadProviderSettings(storedSettings([1, 2]))).toEqual(DEFAULT_PROVIDER_SETTINGS);
+    expect(loadProviderSettings(createMemoryStorage({ 'oferta-demanda:explicacion': '{no es json' }))).toEqual(DEFAULT_PROVIDER_SETTINGS);
+  });
+});
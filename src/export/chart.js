@@ -0,0 +1,137 @@
+// Exportación de la gráfica de recharts como SVG o PNG, con la leyenda y las etiquetas de los equilibrios
+
+const SVG_NS = 'http://www.w3.org/2000/svg';
+const LEGEND_FONT_SIZE = 12;
+const LEGEND_ROW_HEIGHT = 20;
+const LEGEND_ICON_SIZE = 14;
+
+// Ancho aproximado de un texto de la leyenda (no hay un lienzo para medirlo al armar el SVG)
+const approximateTextWidth = (text) => text.length * LEGEND_FONT_SIZE * 0.6;
+
+/**
+ * Dibuja la leyenda HTML de recharts como elementos SVG debajo de la gráfica.
+ * @param {Element} container Contenedor de la gráfica.
+ * @param {number} width Ancho disponible.
+ * @returns {{ group: SVGGElement, height: number }} Grupo con la leyenda y alto que ocupa.
+ */
+const buildLegend = (container, width) => {
+  const group = document.createElementNS(SVG_NS, 'g');
+  let x = 0;
+  let row = 0;
+  const rows = [[]];
+  container.querySelectorAll('.recharts-legend-item').forEach((item) => {
+    const text = item.textContent.trim();
+    const itemWidth = LEGEND_ICON_SIZE + 4 + approximateTextWidth(text) + 16;
+    if (x > 0 && x + itemWidth > width - 20) {
+      row += 1;
+      x = 0;
+      rows.push([]);
+    }
+    const entry = document.createElementNS(SVG_NS, 'g');
+    const icon = item.querySelector('svg');
+    if (icon) {
+      // El ícono de recharts usa un viewBox de 32×32: se escala al tamaño de la leyenda
+      const iconGroup = document.createElementNS(SVG_NS, 'g');
+      iconGroup.setAttribute('transform', `translate(0, ${-LEGEND_ICON_SIZE + 3}) scale(${LEGEND_ICON_SIZE / 32})`);
+      Array.from(icon.children).forEach((child) => iconGroup.appendChild(child.cloneNode(true)));
+      entry.appendChild(iconGroup);
+    }
+    const label = document.createElementNS(SVG_NS, 'text');
+    label.setAttribute('x', LEGEND_ICON_SIZE + 4);
+    label.setAttribute('font-size', LEGEND_FONT_SIZE);
+    const textElement = item.querySelector('.recharts-legend-item-text');
+    label.setAttribute('fill', (textElement && textElement.style.color) || '#333');
+    label.textContent = text;
+    entry.appendChild(label);
+    rows[row].push({ entry, x, width: itemWidth });
+    x += itemWidth;
+  });
+
+  // Cada fila se centra como en la leyenda original
+  rows.forEach((entries, rowIndex) => {
+    const rowWidth = entries.reduce((sum, entry) => sum + entry.width, 0);
+    const offset = Math.max(0, (width - rowWidth) / 2);
+    entries.forEach(({ entry, x: entryX }) => {
+      entry.setAttribute('transform', `translate(${offset + entryX}, ${(rowIndex + 1) * LEGEND_ROW_HEIGHT - 5})`);
+      group.appendChild(entry);
+    });
+  });
+  const height = rows[0].length > 0 ? rows.length * LEGEND_ROW_HEIGHT + 10 : 0;
+  return { group, height };
+};
+
+/**
+ * Arma un SVG independiente a partir de la gráfica mostrada: fondo blanco, curvas, etiquetas de los
+ * equilibrios (E0, E1…) y la leyenda, que recharts dibuja fuera del SVG.
+ * @param {Element} container Elemento que contiene la gráfica de recharts.
+ * @returns {{ svg: string, width: number, height: number } | null} SVG serializado y su tamaño, o null si no hay gráfica.
+ */
+export const buildChartSvg = (container) => {
+  const chart = container && container.querySelector('.recharts-wrapper > svg.recharts-surface');
+  if (!chart) return null;
+  const width = parseFloat(chart.getAttribute('width')) || chart.getBoundingClientRect().width;
+  const chartHeight = parseFloat(chart.getAttribute('height')) || chart.getBoundingClientRect().height;
+
+  const svg = chart.cloneNode(true);
+  // Los detalles que se abren con un clic usan HTML (foreignObject), que no se puede pasar a PNG
+  svg.querySelectorAll('foreignObject').forEach((element) => element.remove());
+  const legend = buildLegend(container, width);
+  const height = chartHeight + legend.height;
+  svg.setAttribute('width', width);
+  svg.setAttribute('height', height);
+  svg.setAttribute('viewBox', `0 0 ${width} ${height}`);
+  svg.setAttribute('font-family', 'ui-sans-serif, system-ui, sans-serif');
+  svg.removeAttribute('style');
+
+  const background = document.createElementNS(SVG_NS, 'rect');
+  background.setAttribute('width', width);
+  background.setAttribute('height', height);
+  background.setAttribute('fill', '#ffffff');
+  svg.insertBefore(background, svg.firstChild);
+  legend.group.setAttribute('transform', `translate(0, ${chartHeight})`);
+  svg.appendChild(legend.group);
+
+  return { svg: new XMLSerializer().serializeToString(svg), width, height };
+};
+
+/**
+ * Convierte un SVG serializado en una imagen PNG de alta resolución.
+ * @param {{ svg: string, width: number, height: number }} chart Resultado de buildChartSvg.
+ * @param {number} [scale] Factor de escala respecto al tamaño en pantalla.
+ * @returns {Promise<Blob>} Imagen PNG.
+ */
+export const svgToPng = ({ svg, width, height }, scale = 3) => new Promise((resolve, reject) => {
+  const url = URL.createObjectURL(new Blob([svg], { type: 'image/svg+xml;charset=utf-8' }));
+  const image = new Image();
+  image.onload = () => {
+    const canvas = document.createElement('canvas');
+    canvas.width = Math.round(width * scale);
+    canvas.height = Math.round(height * scale);
+    const context = canvas.getContext('2d');
+    context.scale(scale, scale);
+    context.drawImage(image, 0, 0, width, height);
+    URL.revokeObjectURL(url);
+    canvas.toBlob((blob) => (blob ? resolve(blob) : reject(new Error('No se pudo generar la imagen PNG.'))), 'image/png');
+  };
+  image.onerror = () => {
+    URL.revokeObjectURL(url);
+    reject(new Error('No se pudo generar la imagen PNG.'));
+  };
+  image.src = url;
+});
+
+/**
+ * Descarga un archivo generado en el navegador.
+ * @param {Blob} blob Contenido del archivo.
+ * @param {string} filename Nombre sugerido.
+ */
+export const downloadBlob = (blob, filename) => {
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = filename;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  setTimeout(() => URL.revokeObjectURL(url), 0);
+};
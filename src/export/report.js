@@ -0,0 +1,298 @@
+// Reporte imprimible de un ejercicio completo: enunciado, equilibrios, gráfica, tabla de desarrollo y explicación.
+// El mismo contenido se escribe como HTML (para imprimir o guardar como PDF) y como fuente LaTeX.
+
+const REPORT_TITLE = 'Reporte de oferta y demanda';
+
+// Desplazamiento con signo explícito (ej. "+4", "−2", "0")
+const formatShift = (value) => (value > 0 ? `+${value}` : value < 0 ? `−${Math.abs(value)}` : '0');
+
+// Celda de la tabla: enteros tal cual, el resto con 2 decimales como en la página
+const formatCell = (value) => {
+  if (value === null || value === undefined) return 'N/A';
+  if (typeof value !== 'number') return String(value);
+  return Number.isInteger(value) ? String(value) : value.toFixed(2);
+};
+
+/**
+ * Ordena el contenido del reporte en secciones independientes del formato de salida.
+ * @param {object} data Datos del ejercicio.
+ * @param {Array<object>} data.markets Estados del mercado mostrados (ecuaciones, desplazamientos y equilibrios con 2 decimales).
+ * @param {object | null} data.priceControl Resultado del control de precios.
+ * @param {object | null} data.taxResult Resultado del impuesto o subsidio.
+ * @returns {{ statement: Array<{ title: string, items: Array<[string, string, boolean]> }>, equilibria: Array<[string, string, string]>, policies: string[] }}
+ *   Enunciado por estado (el tercer valor indica si el dato es una ecuación), filas de equilibrio y resultados de las políticas.
+ */
+const describeExercise = ({ markets, priceControl, taxResult }) => {
+  const statement = markets.map((market, index) => ({
+    title: `${market.label} — ${market.name}`,
+    items: [
+      ['Demanda', market.demandEq, true],
+      ['Oferta', market.supplyEq, true],
+      ...(index === 0 ? [] : [
+        ['Desplazamiento de la demanda', formatShift(market.demandShift), false],
+        ['Desplazamiento de la oferta', formatShift(market.supplyShift), false],
+      ]),
+    ],
+  }));
+
+  const equilibria = markets.flatMap((market) => (market.equilibria.length === 0
+    ? [[`${market.label} — ${market.name}`, 'Sin equilibrio', '']]
+    : market.equilibria.map(({ quantity, price }, index) => [
+      `${market.label} — ${market.name}${market.equilibria.length > 1 ? ` (cruce ${index + 1})` : ''}`,
+      quantity,
+      price,
+    ])));
+
+  const policies = [];
+  if (priceControl) {
+    const name = priceControl.type === 'ceiling' ? 'Precio máximo' : 'Precio mínimo';
+    policies.push(`${name} de ${priceControl.price.toFixed(2)} frente a ${priceControl.reference}: cantidad demandada ${priceControl.quantityDemanded.toFixed(2)}, cantidad ofrecida ${priceControl.quantitySupplied.toFixed(2)}. ${priceControl.binding
+      ? `El control es efectivo: ${priceControl.gapType} de ${priceControl.gap.toFixed(2)} unidades y pérdida irrecuperable de eficiencia de ${priceControl.deadweightLoss.toFixed(2)}.`
+      : 'El control no es efectivo y el mercado sigue en equilibrio.'}`);
+  }
+  if (taxResult) {
+    const isTax = taxResult.mode === 'tax';
+    policies.push(`${isTax ? 'Impuesto' : 'Subsidio'} ${taxResult.kind === 'specific' ? `de ${taxResult.amount} por unidad` : `ad valorem del ${taxResult.amount}%`} a los ${taxResult.payer === 'sellers' ? 'vendedores' : 'compradores'} (frente a ${taxResult.reference}): los compradores pagan ${taxResult.buyerPrice.toFixed(2)}, los vendedores reciben ${taxResult.sellerPrice.toFixed(2)} y se intercambian ${taxResult.quantity.toFixed(2)} unidades. ${isTax ? 'Recaudación' : 'Costo del subsidio'}: ${taxResult.fiscalAmount.toFixed(2)}; pérdida irrecuperable de eficiencia: ${taxResult.deadweightLoss.toFixed(2)}.`);
+  }
+
+  return { statement, equilibria, policies };
+};
+
+// --- HTML ---
+
+const escapeHtml = (text) => String(text)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
+// Estilos pensados para papel: A4, sin colores de fondo y sin cortar tablas ni la gráfica entre páginas
+const REPORT_STYLES = `
+  @page { size: A4; margin: 18mm; }
+  body { font-family: Georgia, 'Times New Roman', serif; color: #111; max-width: 800px; margin: 24px auto; padding: 0 16px; line-height: 1.45; }
+  h1 { font-size: 24px; margin-bottom: 0; }
+  h2 { font-size: 18px; border-bottom: 1px solid #999; padding-bottom: 2px; margin-top: 28px; }
+  h3 { font-size: 15px; margin: 12px 0 4px; }
+  .date { color: #555; margin-top: 4px; }
+  code { font-family: 'Courier New', monospace; }
+  ul { margin: 4px 0; }
+  table { border-collapse: collapse; width: 100%; font-size: 12px; }
+  th, td { border: 1px solid #999; padding: 3px 6px; text-align: right; }
+  th:first-child, td:first-child { text-align: left; }
+  th { background: #eee; }
+  figure { margin: 0; break-inside: avoid; }
+  figure svg { max-width: 100%; height: auto; }
+  table, .statement { break-inside: avoid; }
+  .explanation { white-space: pre-wrap; }
+  .actions { margin: 16px 0; }
+  .actions button { font-size: 14px; padding: 6px 14px; cursor: pointer; }
+  @media print { .actions { display: none; } body { margin: 0; max-width: none; } }
+`;
+
+const htmlTable = (header, rows) => `<table>
+<thead><tr>${header.map((cell) => `<th>${escapeHtml(cell)}</th>`).join('')}</tr></thead>
+<tbody>
+${rows.map((row) => `<tr>${row.map((cell) => `<td>${escapeHtml(formatCell(cell))}</td>`).join('')}</tr>`).join('\n')}
+</tbody>
+</table>`;
+
+/**
+ * Escribe el reporte como un documento HTML listo para imprimir o guardar como PDF.
+ * @param {object} data Datos del ejercicio (ver describeExercise), más:
+ * @param {string} data.date Fecha del reporte.
+ * @param {{ header: string[], data: Array<Array<string | number | null>> }} data.table Tabla de desarrollo (buildTableColumns).
+ * @param {{ svg: string } | null} data.chart Gráfica exportada con buildChartSvg.
+ * @param {string} data.explanation Explicación generada (vacía si no hay).
+ * @returns {string} Documento HTML completo.
+ */
+export const buildReportHtml = (data) => {
+  const { statement, equilibria, policies } = describeExercise(data);
+  const sections = [];
+
+  sections.push(`<h2>1. Enunciado</h2>
+${statement.map(({ title, items }) => `<div class="statement">
+<h3>${escapeHtml(title)}</h3>
+<ul>
+${items.map(([name, value, isEquation]) => `<li>${escapeHtml(name)}: ${isEquation ? `<code>${escapeHtml(value)}</code>` : escapeHtml(value)}</li>`).join('\n')}
+</ul>
+</div>`).join('\n')}`);
+
+  sections.push(`<h2>2. Equilibrios</h2>
+${htmlTable(['Estado', 'Cantidad (Q)', 'Precio (P)'], equilibria)}
+${policies.map((policy) => `<p>${escapeHtml(policy)}</p>`).join('\n')}`);
+
+  if (data.chart) sections.push(`<h2>3. Gráfica</h2>\n<figure>${data.chart.svg}</figure>`);
+
+  sections.push(`<h2>${data.chart ? 4 : 3}. Tabla de desarrollo</h2>\n${htmlTable(data.table.header, data.table.data)}`);
+
+  if (data.explanation) {
+    sections.push(`<h2>${data.chart ? 5 : 4}. Explicación</h2>\n<p class="explanation">${escapeHtml(data.explanation.trim())}</p>`);
+  }
+
+  return `<!doctype html>
+<html lang="es">
+<head>
+<meta charset="utf-8">
+<title>${REPORT_TITLE}</title>
+<style>${REPORT_STYLES}</style>
+</head>
+<body>
+<div class="actions"><button type="button" onclick="window.print()">Imprimir o guardar como PDF</button></div>
+<h1>${REPORT_TITLE}</h1>
+<p class="date">${escapeHtml(data.date)}</p>
+${sections.join('\n')}
+</body>
+</html>
+`;
+};
+
+// --- LaTeX ---
+
+// Caracteres que LaTeX interpreta o que pdflatex no conoce, con su reemplazo
+const LATEX_REPLACEMENTS = {
+  '\\': '\\textbackslash{}',
+  '{': '\\{',
+  '}': '\\}',
+  '$': '\\$',
+  '&': '\\&',
+  '#': '\\#',
+  '%': '\\%',
+  '_': '\\_',
+  '^': '\\textasciicircum{}',
+  '~': '\\textasciitilde{}',
+  '<': '\\textless{}',
+  '>': '\\textgreater{}',
+  '|': '\\textbar{}',
+  '−': '-',
+  '…': '\\ldots{}',
+  '·': '$\\cdot$',
+  '∞': '$\\infty$',
+  'ε': '$\\varepsilon$',
+  '≈': '$\\approx$',
+  '≤': '$\\leq$',
+  '≥': '$\\geq$',
+  '→': '$\\rightarrow$',
+  '₀': '$_0$', '₁': '$_1$', '₂': '$_2$', '₃': '$_3$', '₄': '$_4$', '₅': '$_5$', '₆': '$_6$', '₇': '$_7$', '₈': '$_8$', '₉': '$_9$',
+};
+
+const escapeLatex = (text) => Array.from(String(text), (char) => LATEX_REPLACEMENTS[char] ?? char).join('');
+
+// Trazo de pgfplots equivalente al de la gráfica ('8 4' a rayas, '2 3' punteado)
+const latexDash = (dash) => {
+  if (!dash) return 'solid';
+  return dash === '2 3' ? 'dotted' : 'dashed';
+};
+
+const MAX_PLOT_POINTS = 60; // Puntos por curva en el .tex: suficiente para curvas suaves sin inflar el archivo
+
+const latexCoordinate = ({ quantity, price }) => `(${parseFloat(quantity.toFixed(4))},${parseFloat(price.toFixed(4))})`;
+
+// Reduce una curva a MAX_PLOT_POINTS puntos conservando el primero y el último
+const thinPoints = (points) => {
+  if (points.length <= MAX_PLOT_POINTS) return points;
+  const step = (points.length - 1) / (MAX_PLOT_POINTS - 1);
+  return Array.from({ length: MAX_PLOT_POINTS }, (_, index) => points[Math.round(index * step)]);
+};
+
+/**
+ * Dibuja la gráfica con pgfplots a partir de las mismas series que usa recharts.
+ * @param {object} plot Series ({ name, color, dash, points }), puntos de equilibrio ({ quantity, price, label }) y dominio de los ejes.
+ * @returns {string} Entorno tikzpicture.
+ */
+const latexPlot = ({ series, dots, domain }) => {
+  const colors = [...new Set([...series.map(({ color }) => color), ...dots.map(({ dotColor }) => dotColor)])];
+  const colorName = (color) => `curva${colors.indexOf(color) + 1}`;
+  const limits = [
+    typeof domain.quantity[1] === 'number' ? `xmax=${parseFloat(domain.quantity[1].toFixed(4))},` : '',
+    typeof domain.price[1] === 'number' ? `ymax=${parseFloat(domain.price[1].toFixed(4))},` : '',
+  ].join(' ');
+  return `${colors.map((color) => `\\definecolor{${colorName(color)}}{HTML}{${color.replace('#', '').toUpperCase()}}`).join('\n')}
+\\begin{tikzpicture}
+\\begin{axis}[
+  width=\\linewidth, height=0.65\\linewidth,
+  xmin=0, ymin=0, ${limits}
+  xlabel={Cantidad (Q)}, ylabel={Precio (P)},
+  legend style={at={(0.5,-0.15)}, anchor=north, legend columns=2, font=\\small},
+]
+${series.filter(({ points }) => points.length > 1).map(({ name, color, dash, points }) => `\\addplot[${colorName(color)}, thick, ${latexDash(dash)}, mark=none] coordinates {${thinPoints(points).map(latexCoordinate).join(' ')}};
+\\addlegendentry{${escapeLatex(name)}}`).join('\n')}
+${dots.map(({ quantity, price, label, dotColor }) => `\\node[circle, fill=${colorName(dotColor)}, inner sep=1.8pt, label={right:${escapeLatex(label)}}] at (axis cs:${parseFloat(quantity.toFixed(4))},${parseFloat(price.toFixed(4))}) {};`).join('\n')}
+\\end{axis}
+\\end{tikzpicture}`;
+};
+
+const latexTable = (header, rows, caption) => `\\begin{table}[htbp]
+\\centering
+\\begin{adjustbox}{max width=\\textwidth}
+\\begin{tabular}{l${'r'.repeat(header.length - 1)}}
+\\hline
+${header.map((cell) => `\\textbf{${escapeLatex(cell)}}`).join(' & ')} \\\\
+\\hline
+${rows.map((row) => `${row.map((cell) => escapeLatex(formatCell(cell))).join(' & ')} \\\\`).join('\n')}
+\\hline
+\\end{tabular}
+\\end{adjustbox}
+\\caption{${caption}}
+\\end{table}`;
+
+/**
+ * Escribe el reporte como fuente LaTeX (pdflatex) para incluirlo en otros documentos, como plantillas de examen.
+ * El contenido va entre dos comentarios que marcan qué copiar; el preámbulo lista los paquetes necesarios.
+ * @param {object} data Datos del ejercicio (ver buildReportHtml), con plot en lugar de chart:
+ * @param {{ series: Array<object>, dots: Array<object>, domain: { quantity: Array, price: Array } } | null} data.plot Series de la gráfica.
+ * @returns {string} Documento LaTeX completo.
+ */
+export const buildReportLatex = (data) => {
+  const { statement, equilibria, policies } = describeExercise(data);
+  const body = [];
+
+  body.push(`\\section{Enunciado}
+${statement.map(({ title, items }) => `\\paragraph{${escapeLatex(title)}}
+\\begin{itemize}
+${items.map(([name, value, isEquation]) => `  \\item ${escapeLatex(name)}: ${isEquation ? `\\texttt{${escapeLatex(value)}}` : escapeLatex(value)}`).join('\n')}
+\\end{itemize}`).join('\n')}`);
+
+  body.push(`\\section{Equilibrios}
+${latexTable(['Estado', 'Cantidad (Q)', 'Precio (P)'], equilibria, 'Equilibrios de cada estado del mercado.')}
+${policies.map(escapeLatex).join('\n\n')}`);
+
+  if (data.plot && data.plot.series.length > 0) {
+    body.push(`\\section{Gráfica}
+\\begin{figure}[htbp]
+\\centering
+${latexPlot(data.plot)}
+\\caption{Curvas de oferta y demanda con sus equilibrios.}
+\\end{figure}`);
+  }
+
+  body.push(`\\section{Tabla de desarrollo}
+${latexTable(data.table.header, data.table.data, 'Precio de cada curva para cantidades seleccionadas.')}`);
+
+  if (data.explanation) {
+    body.push(`\\section{Explicación}
+${data.explanation.split('\n').map((line) => line.trim()).filter(Boolean).map(escapeLatex).join('\n\n')}`);
+  }
+
+  return `\\documentclass[11pt]{article}
+\\usepackage[utf8]{inputenc}
+\\usepackage[T1]{fontenc}
+\\usepackage[spanish,es-noshorthands,es-tabla]{babel}
+\\usepackage[margin=2cm]{geometry}
+\\usepackage{adjustbox}
+\\usepackage{pgfplots}
+\\pgfplotsset{compat=1.16}
+
+\\title{${REPORT_TITLE}}
+\\date{${escapeLatex(data.date)}}
+\\author{}
+
+\\begin{document}
+\\maketitle
+
+% --- Contenido del reporte: copiar desde aquí ---
+${body.join('\n\n')}
+% --- Fin del contenido del reporte ---
+
+\\end{document}
+`;
+};
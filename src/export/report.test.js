@@ -0,0 +1,64 @@
+import { describe, expect, it } from 'vitest';
+import { buildReportHtml, buildReportLatex } from './report.js';
+
+const markets = [
+  { key: 'original', label: 'E0', name: 'Original', demandEq: '-P + 16', supplyEq: 'P^2 + 4', demandShift: 0, supplyShift: 0, equilibria: [{ quantity: '10.00', price: '6.00' }] },
+  { key: 'escenario_1', label: 'E1', name: 'Ingreso & gustos', demandEq: '-P + 16', supplyEq: 'P^2 + 4', demandShift: 4, supplyShift: -2, equilibria: [] },
+];
+
+const data = {
+  date: '1 de marzo de 2026',
+  markets,
+  priceControl: null,
+  taxResult: { mode: 'tax', kind: 'specific', payer: 'sellers', amount: 2, reference: 'E0', buyerPrice: 7, sellerPrice: 5, quantity: 9, fiscalAmount: 18, deadweightLoss: 1 },
+  table: { header: ['Cantidad (Q)', 'Precio Demanda Original'], data: [[0, 16], [2.5, null], [4, '-∞']] },
+  chart: { svg: '<svg xmlns="http://www.w3.org/2000/svg"><text>E0</text></svg>' },
+  plot: {
+    series: [{ name: 'Demanda Original', color: '#3B82F6', dash: null, points: Array.from({ length: 201 }, (_, i) => ({ quantity: i / 10, price: 16 - i / 10 })) }],
+    dots: [{ quantity: 10, price: 6, label: 'E0', dotColor: '#3B82F6' }],
+    domain: { quantity: [0, 22], price: [0, 24] },
+  },
+  explanation: 'El precio sube 50%.\n\nLa demanda es <elástica>.',
+};
+
+describe('buildReportHtml', () => {
+  const html = buildReportHtml(data);
+
+  it('incluye el enunciado, los equilibrios, la gráfica, la tabla y la explicación', () => {
+    expect(html).toContain('<code>-P + 16</code>');
+    expect(html).toContain('Desplazamiento de la oferta: −2');
+    expect(html).toContain('<td>E0 — Original</td><td>10.00</td><td>6.00</td>');
+    expect(html).toContain('<td>E1 — Ingreso &amp; gustos</td><td>Sin equilibrio</td>');
+    expect(html).toContain('los compradores pagan 7.00');
+    expect(html).toContain('<figure><svg');
+    expect(html).toContain('<td>2.50</td><td>N/A</td>');
+    expect(html).toContain('La demanda es &lt;elástica&gt;.');
+  });
+
+  it('numera las secciones aunque no haya gráfica ni explicación', () => {
+    const plain = buildReportHtml({ ...data, chart: null, explanation: '' });
+    expect(plain).toContain('<h2>3. Tabla de desarrollo</h2>');
+    expect(plain).not.toContain('Explicación');
+  });
+});
+
+describe('buildReportLatex', () => {
+  const latex = buildReportLatex(data);
+
+  it('escapa los caracteres especiales de LaTeX', () => {
+    expect(latex).toContain('\\texttt{P\\textasciicircum{}2 + 4}');
+    expect(latex).toContain('E1 — Ingreso \\& gustos');
+    expect(latex).toContain('El precio sube 50\\%.');
+    expect(latex).toContain('4 & -$\\infty$ \\\\');
+  });
+
+  it('dibuja la gráfica con pgfplots y limita los puntos de cada curva', () => {
+    expect(latex).toContain('\\definecolor{curva1}{HTML}{3B82F6}');
+    expect(latex).toContain('xmax=22, ymax=24,');
+    const coordinates = latex.match(/coordinates \{([^}]*)\}/)[1].split(' ');
+    expect(coordinates).toHaveLength(60);
+    expect(coordinates[0]).toBe('(0,16)');
+    expect(coordinates.at(-1)).toBe('(20,-4)');
+    expect(latex).toContain('label={right:E0}] at (axis cs:10,6)');
+  });
+});
@@ -0,0 +1,67 @@
+// Tabla de desarrollo como filas de una hoja de cálculo (celdas numéricas) y como CSV
+
+// Quita el ruido de punto flotante (ej. 5.999999999) sin perder precisión útil
+const cleanNumber = (value) => Math.round(value * 1e6) / 1e6;
+
+// Celda numérica: null si la curva no está definida; las elasticidades infinitas se escriben como texto
+const numericCell = (value) => {
+  if (value === null || value === undefined || Number.isNaN(value)) return null;
+  if (!isFinite(value)) return value > 0 ? '∞' : '-∞';
+  return cleanNumber(value);
+};
+
+// Nombre de un estado del mercado en los encabezados (igual que en la tabla de la página)
+const stateName = (market) => (market.key === 'original' ? 'Original' : `${market.name} (${market.label})`);
+
+/**
+ * Encabezados y filas numéricas de la tabla de desarrollo.
+ * @param {Array<object>} rows Filas numéricas de buildPriceTable.
+ * @param {Array<object>} markets Estados del mercado mostrados (con key, label y name).
+ * @returns {{ header: string[], data: Array<Array<string | number | null>> }} Encabezados y celdas.
+ */
+export const buildTableColumns = (rows, markets) => ({
+  header: [
+    'Cantidad (Q)',
+    ...markets.flatMap((market) => [`Precio Demanda ${stateName(market)}`, `Precio Oferta ${stateName(market)}`]),
+    'Elasticidad Demanda Original',
+    'Elasticidad Oferta Original',
+  ],
+  data: rows.map((row) => [
+    numericCell(row.quantity),
+    ...markets.flatMap((market) => [numericCell(row[`price_demanda_${market.key}`]), numericCell(row[`price_oferta_${market.key}`])]),
+    numericCell(row.elasticity_demanda_original),
+    numericCell(row.elasticity_oferta_original),
+  ]),
+});
+
+/**
+ * Arma las filas de la tabla de desarrollo para exportarlas.
+ * Primero van las ecuaciones y desplazamientos de cada estado, luego una fila vacía, los encabezados y los datos.
+ * @param {Array<object>} rows Filas numéricas de buildPriceTable.
+ * @param {Array<object>} markets Estados del mercado mostrados (con label, name, ecuaciones y desplazamientos).
+ * @returns {Array<Array<string | number | null>>} Filas de la hoja.
+ */
+export const buildTableSheet = (rows, markets) => {
+  const equations = markets.map((market) => [
+    `${market.label} — ${market.name}`,
+    'Demanda', market.demandEq,
+    'Oferta', market.supplyEq,
+    'Desplazamiento Qd', market.demandShift,
+    'Desplazamiento Qs', market.supplyShift,
+  ]);
+  const { header, data } = buildTableColumns(rows, markets);
+  return [...equations, [], header, ...data];
+};
+
+const csvCell = (value) => {
+  if (value === null || value === undefined) return '';
+  const text = String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+/**
+ * Convierte filas en texto CSV (separado por comas, con BOM para que Excel reconozca los acentos).
+ * @param {Array<Array<string | number | null>>} rows Filas de la hoja.
+ * @returns {string} Contenido del archivo CSV.
+ */
+export const toCsv = (rows) => `\uFEFF${rows.map((row) => row.map(csvCell).join(',')).join('\r\n')}\r\n`;
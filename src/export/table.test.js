@@ -0,0 +1,35 @@
+import { describe, expect, it } from 'vitest';
+import { analyzeMarket, buildPriceTable } from '../lib/market.js';
+import { buildTableSheet, toCsv } from './table.js';
+
+const scenario = { id: 1, name: 'Sube el ingreso', color: '#10B981', visible: true, demandEq: '', supplyEq: '', demandShift: '4', supplyShift: '' };
+
+describe('buildTableSheet', () => {
+  const result = analyzeMarket({ demandEq: '-P + 16', supplyEq: 'P + 4', scenarios: [scenario] });
+  const rows = buildPriceTable(result.states, result.bounds.quantity);
+  const sheet = buildTableSheet(rows, result.markets);
+
+  it('empieza con las ecuaciones y desplazamientos de cada estado', () => {
+    expect(sheet[0]).toEqual(['E0 — Original', 'Demanda', '-P + 16', 'Oferta', 'P + 4', 'Desplazamiento Qd', 0, 'Desplazamiento Qs', 0]);
+    expect(sheet[1]).toEqual(['E1 — Sube el ingreso', 'Demanda', '-P + 16', 'Oferta', 'P + 4', 'Desplazamiento Qd', 4, 'Desplazamiento Qs', 0]);
+    expect(sheet[2]).toEqual([]);
+    expect(sheet[3][0]).toBe('Cantidad (Q)');
+    expect(sheet[3]).toContain('Precio Demanda Sube el ingreso (E1)');
+  });
+
+  it('escribe celdas numéricas y deja vacías las que no existen', () => {
+    const data = sheet.slice(4);
+    expect(data).toHaveLength(rows.length);
+    const first = data[0];
+    expect(first[0]).toBe(0);
+    expect(first[1]).toBe(16);
+    expect(first[2]).toBeNull(); // Con Q = 0 la oferta pide P = -4
+    data.forEach((row) => row.forEach((cell) => expect(typeof cell === 'number' || cell === null || cell === '∞' || cell === '-∞').toBe(true)));
+  });
+});
+
+describe('toCsv', () => {
+  it('agrega el BOM, entrecomilla lo necesario y separa filas con CRLF', () => {
+    expect(toCsv([['a,b', 'dice "hola"', 1.5], [null, 2]])).toBe('\uFEFF"a,b","dice ""hola""",1.5\r\n,2\r\n');
+  });
+});
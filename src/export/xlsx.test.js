@@ -0,0 +1,24 @@
+import { describe, expect, it } from 'vitest';
+import { buildXlsx } from './xlsx.js';
+
+const text = (bytes) => new TextDecoder().decode(bytes);
+
+describe('buildXlsx', () => {
+  const bytes = buildXlsx([['Cantidad (Q)', 'Precio'], [0, 16], [1.5, null], ['a < b & c', '∞']], 'Tabla');
+  const content = text(bytes);
+
+  it('genera un ZIP con las partes de un libro de Excel', () => {
+    expect([...bytes.slice(0, 4)]).toEqual([0x50, 0x4B, 0x03, 0x04]);
+    ['[Content_Types].xml', '_rels/.rels', 'xl/workbook.xml', 'xl/_rels/workbook.xml.rels', 'xl/worksheets/sheet1.xml'].forEach((name) => {
+      expect(content).toContain(name);
+    });
+    expect(content).toContain('name="Tabla"');
+  });
+
+  it('guarda los números como valores y escapa el texto', () => {
+    expect(content).toContain('<v>16</v>');
+    expect(content).toContain('<v>1.5</v>');
+    expect(content).toContain('a &lt; b &amp; c');
+    expect(content).toContain('<t xml:space="preserve">∞</t>');
+  });
+});
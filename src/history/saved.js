@@ -0,0 +1,132 @@
+import { decodeCalculatorState } from '../lib/permalink.js';
+import { readJson, writeJson } from '../lib/storage.js';
+
+// Ejercicios guardados de la calculadora: las entradas (en el mismo formato que el enlace permanente), el resumen
+// de cada equilibrio y la explicación generada. Viven en este navegador y se mueven entre computadoras como JSON.
+
+const STORAGE_KEY = 'oferta-demanda:historial';
+const FILE_FORMAT = 'oferta-demanda/historial'; // Marca de los archivos exportados
+const FILE_VERSION = 1;
+const MAX_ENTRIES = 200; // Ejercicios que se conservan
+
+// Identificador único de un ejercicio guardado
+const createExerciseId = () => `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`;
+
+// Un número guardado o null (estado sin equilibrio)
+const isNumberOrNull = (value) => value === null || Number.isFinite(value);
+
+// Un ejercicio válido tiene nombre, fecha, un resumen con números y un estado que el enlace permanente puede leer sin errores
+const isValidExercise = (entry) => (
+  entry !== null && typeof entry === 'object'
+  && typeof entry.name === 'string' && typeof entry.date === 'string' && typeof entry.query === 'string'
+  && Array.isArray(entry.summary)
+  && entry.summary.every(state => state !== null && typeof state === 'object'
+    && ['label', 'name', 'demandEq', 'supplyEq'].every(key => typeof state[key] === 'string')
+    && Number.isFinite(state.demandShift) && Number.isFinite(state.supplyShift)
+    && isNumberOrNull(state.price) && isNumberOrNull(state.quantity))
+  && decodeCalculatorState(entry.query).errors.length === 0
+);
+
+/**
+ * Resume los estados del mercado para guardarlos (ecuaciones, desplazamientos y equilibrio de E0, E1…).
+ * @param {Array<object>} markets Estados calculados (analyzeMarket).
+ * @returns {Array<{ label: string, name: string, demandEq: string, supplyEq: string, demandShift: number,
+ *   supplyShift: number, price: number | null, quantity: number | null }>} Resumen de cada estado.
+ */
+export const summarizeMarkets = (markets) => markets.map((market) => {
+  // La calculadora guarda los equilibrios ya redondeados como texto; el resumen los guarda como números
+  const point = market.equilibria[0] || null;
+  return {
+    label: market.label,
+    name: market.name,
+    demandEq: market.demandEq,
+    supplyEq: market.supplyEq,
+    demandShift: market.demandShift,
+    supplyShift: market.supplyShift,
+    price: point ? Number(point.price) : null,
+    quantity: point ? Number(point.quantity) : null,
+  };
+});
+
+/**
+ * Crea un ejercicio para guardar.
+ * @param {{ name: string, query: string, markets: Array<object>, explanation: string }} data Nombre, estado de las
+ *   entradas (encodeCalculatorState), estados calculados y explicación generada ('' si no hay).
+ * @returns {{ id: string, name: string, date: string, query: string, summary: Array<object>, explanation: string }} Ejercicio.
+ */
+export const createSavedExercise = ({ name, query, markets, explanation }) => ({
+  id: createExerciseId(),
+  name,
+  date: new Date().toISOString(),
+  query,
+  summary: summarizeMarkets(markets),
+  explanation,
+});
+
+/**
+ * Lee los ejercicios guardados, descartando los que estén dañados.
+ * @param {Storage} [storage] Almacenamiento a usar (localStorage por defecto).
+ * @returns {Array<object>} Ejercicios, del más reciente al más antiguo.
+ */
+export const loadSavedExercises = (storage = globalThis.localStorage) => {
+  const saved = readJson(STORAGE_KEY, [], storage);
+  return Array.isArray(saved) ? saved.filter(isValidExercise) : [];
+};
+
+/**
+ * Guarda la lista completa de ejercicios.
+ * @param {Array<object>} exercises Ejercicios a guardar.
+ * @param {Storage} [storage] Almacenamiento a usar (localStorage por defecto).
+ * @returns {boolean} false si el navegador no permitió guardar (modo privado o cuota llena).
+ */
+export const saveSavedExercises = (exercises, storage = globalThis.localStorage) => writeJson(STORAGE_KEY, exercises.slice(0, MAX_ENTRIES), storage);
+
+/**
+ * Duplica un ejercicio y coloca la copia justo después del original.
+ * @param {Array<object>} exercises Ejercicios.
+ * @param {string} id Ejercicio a duplicar.
+ * @returns {Array<object>} Lista con la copia (la misma lista si el id no existe).
+ */
+export const duplicateSavedExercise = (exercises, id) => {
+  const index = exercises.findIndex(entry => entry.id === id);
+  if (index === -1) return exercises;
+  const copy = { ...exercises[index], id: createExerciseId(), name: `${exercises[index].name} (copia)`, date: new Date().toISOString() };
+  return [...exercises.slice(0, index + 1), copy, ...exercises.slice(index + 1)];
+};
+
+/**
+ * Escribe todos los ejercicios como archivo JSON.
+ * @param {Array<object>} exercises Ejercicios.
+ * @returns {string} Contenido del archivo.
+ */
+export const exportSavedExercises = (exercises) => JSON.stringify({ format: FILE_FORMAT, version: FILE_VERSION, exercises }, null, 2);
+
+/**
+ * Lee un archivo exportado. Los ejercicios importados reciben ids nuevos para no chocar con los guardados.
+ * @param {string} text Contenido del archivo.
+ * @returns {{ exercises: Array<object>, skipped: number, error: string }} Ejercicios válidos, cuántos se descartaron
+ *   por estar dañados y el error si el archivo no se pudo leer.
+ */
+export const importSavedExercises = (text) => {
+  let data;
+  try {
+    data = JSON.parse(text);
+  } catch {
+    return { exercises: [], skipped: 0, error: 'El archivo no es un JSON válido.' };
+  }
+  if (data === null || typeof data !== 'object' || data.format !== FILE_FORMAT || !Array.isArray(data.exercises)) {
+    return { exercises: [], skipped: 0, error: 'El archivo no es un historial exportado por esta calculadora.' };
+  }
+  if (data.version > FILE_VERSION) {
+    return { exercises: [], skipped: 0, error: 'El historial fue exportado por una versión más nueva de la calculadora.' };
+  }
+  const exercises = data.exercises.filter(isValidExercise).map(entry => ({
+    id: createExerciseId(),
+    name: entry.name,
+    date: entry.date,
+    query: entry.query,
+    summary: entry.summary,
+    explanation: typeof entry.explanation === 'string' ? entry.explanation : '',
+  }));
+  return { exercises, skipped: data.exercises.length - exercises.length, error: '' };
+};
@@ -0,0 +1,54 @@
+import { describe, expect, it } from 'vitest';
+import { analyzeMarket } from '../lib/market.js';
+import { createMemoryStorage } from '../test/memoryStorage.js';
+import {
+  createSavedExercise, duplicateSavedExercise, exportSavedExercises, importSavedExercises, loadSavedExercises, saveSavedExercises,
+} from './saved.js';
+
+const scenario = { id: 1, name: 'Más ingreso', color: '#8681BD', visible: true, demandEq: '', supplyEq: '', demandShift: '4', supplyShift: '' };
+const { markets } = analyzeMarket({ demandEq: '-P + 16', supplyEq: 'P + 4', scenarios: [scenario] });
+const exercise = createSavedExercise({ name: 'Ejercicio 1', query: 'demandEq=-P%2B20', markets, explanation: 'El precio sube.' });
+
+describe('ejercicios guardados', () => {
+  it('resume las ecuaciones, los desplazamientos y los equilibrios de cada estado', () => {
+    expect(exercise.summary).toEqual([
+      { label: 'E0', name: 'Original', demandEq: '-P + 16', supplyEq: 'P + 4', demandShift: 0, supplyShift: 0, price: 6, quantity: 10 },
+      { label: 'E1', name: 'Más ingreso', demandEq: '-P + 16', supplyEq: 'P + 4', demandShift: 4, supplyShift: 0, price: 8, quantity: 12 },
+    ]);
+    expect(exercise.explanation).toBe('El precio sube.');
+  });
+
+  it('guarda y lee la lista, descartando entradas dañadas', () => {
+    const storage = createMemoryStorage();
+    expect(saveSavedExercises([exercise], storage)).toBe(true);
+    expect(loadSavedExercises(storage)).toEqual([exercise]);
+    const damaged = [{ ...exercise, query: 'supplyEq=P%2B*3' }, { ...exercise, summary: [{ label: 'E0', price: 'x' }] }, exercise];
+    expect(loadSavedExercises(createMemoryStorage({ 'oferta-demanda:historial': JSON.stringify(damaged) }))).toEqual([exercise]);
+    expect(loadSavedExercises(createMemoryStorage({ 'oferta-demanda:historial': '{no es json' }))).toEqual([]);
+  });
+
+  it('duplica un ejercicio junto al original con otro id', () => {
+    const other = { ...exercise, id: 'otro', name: 'Otro' };
+    const list = duplicateSavedExercise([exercise, other], exercise.id);
+    expect(list.map(entry => entry.name)).toEqual(['Ejercicio 1', 'Ejercicio 1 (copia)', 'Otro']);
+    expect(list[1].id).not.toBe(exercise.id);
+    expect(list[1].query).toBe(exercise.query);
+  });
+
+  it('exporta e importa el historial con ids nuevos', () => {
+    const { exercises, skipped, error } = importSavedExercises(exportSavedExercises([exercise]));
+    expect(error).toBe('');
+    expect(skipped).toBe(0);
+    expect(exercises).toEqual([{ ...exercise, id: exercises[0].id }]);
+    expect(exercises[0].id).not.toBe(exercise.id);
+  });
+
+  it('rechaza archivos que no son un historial y omite los ejercicios dañados', () => {
+    expect(importSavedExercises('no es json').error).toBe('El archivo no es un JSON válido.');
+    expect(importSavedExercises('[1, 2]').error).toContain('no es un historial');
+    const newer = JSON.parse(exportSavedExercises([]));
+    expect(importSavedExercises(JSON.stringify({ ...newer, version: 99 })).error).toContain('más nueva');
+    const file = JSON.parse(exportSavedExercises([exercise, { ...exercise, name: 7 }]));
+    expect(importSavedExercises(JSON.stringify(file)).skipped).toBe(1);
+  });
+});
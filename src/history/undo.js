@@ -0,0 +1,39 @@
+// Deshacer y rehacer los cambios de las entradas de la calculadora. Cada estado es una instantánea inmutable
+// (las entradas serializadas como JSON), así que dos estados iguales se reconocen con una comparación simple.
+
+const MAX_UNDO_STEPS = 100; // Cambios que se pueden deshacer
+
+/**
+ * Historial de deshacer con un estado inicial.
+ * @param {string} present Estado actual.
+ * @returns {{ past: string[], present: string, future: string[] }} Historial sin cambios previos.
+ */
+export const createUndoHistory = (present) => ({ past: [], present, future: [] });
+
+/**
+ * Registra un estado nuevo: el actual pasa a poder deshacerse y se descarta lo que se podía rehacer.
+ * @param {{ past: string[], present: string, future: string[] }} history Historial actual.
+ * @param {string} state Estado nuevo.
+ * @returns {{ past: string[], present: string, future: string[] }} Historial actualizado (el mismo si el estado no cambió).
+ */
+export const recordUndo = (history, state) => (state === history.present
+  ? history
+  : { past: [...history.past, history.present].slice(-MAX_UNDO_STEPS), present: state, future: [] });
+
+/**
+ * Vuelve al estado anterior.
+ * @param {{ past: string[], present: string, future: string[] }} history Historial actual.
+ * @returns {{ past: string[], present: string, future: string[] }} Historial con el estado anterior como actual.
+ */
+export const undo = (history) => (history.past.length === 0
+  ? history
+  : { past: history.past.slice(0, -1), present: history.past[history.past.length - 1], future: [history.present, ...history.future] });
+
+/**
+ * Rehace el último cambio deshecho.
+ * @param {{ past: string[], present: string, future: string[] }} history Historial actual.
+ * @returns {{ past: string[], present: string, future: string[] }} Historial con el estado siguiente como actual.
+ */
+export const redo = (history) => (history.future.length === 0
+  ? history
+  : { past: [...history.past, history.present], present: history.future[0], future: history.future.slice(1) });
@@ -0,0 +1,27 @@
+import { describe, expect, it } from 'vitest';
+import { createUndoHistory, recordUndo, redo, undo } from './undo.js';
+
+describe('deshacer y rehacer', () => {
+  it('recorre los estados registrados en ambos sentidos', () => {
+    let history = recordUndo(recordUndo(createUndoHistory('a'), 'b'), 'c');
+    history = undo(history);
+    expect(history.present).toBe('b');
+    history = undo(history);
+    expect(history).toEqual({ past: [], present: 'a', future: ['b', 'c'] });
+    // Sin nada que deshacer el historial no cambia
+    expect(undo(history)).toBe(history);
+    history = redo(redo(history));
+    expect(history.present).toBe('c');
+    expect(redo(history)).toBe(history);
+  });
+
+  it('un cambio nuevo descarta lo que se podía rehacer', () => {
+    const history = recordUndo(undo(recordUndo(createUndoHistory('a'), 'b')), 'x');
+    expect(history).toEqual({ past: ['a'], present: 'x', future: [] });
+  });
+
+  it('no registra un estado igual al actual', () => {
+    const history = createUndoHistory('a');
+    expect(recordUndo(history, 'a')).toBe(history);
+  });
+});
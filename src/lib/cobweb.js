@@ -0,0 +1,71 @@
+import { quantitySlope } from './elasticity.js';
+
+// Modelo de la telaraña: los productores deciden cuánto ofrecer con el precio del periodo anterior
+// y el precio del periodo es el que hace que los consumidores compren toda esa cantidad.
+
+const MAX_PERIODS = 30; // Periodos simulados como máximo
+const SLOPE_TOLERANCE = 1e-6; // Margen para considerar que las pendientes son iguales en valor absoluto
+
+/**
+ * Clasifica la telaraña según las pendientes dQ/dP en el equilibrio.
+ * Cerca del equilibrio P(t) − P* = (pendiente de la oferta / pendiente de la demanda) · (P(t−1) − P*).
+ * @param {number} demandSlope Pendiente dQ/dP de la demanda.
+ * @param {number} supplySlope Pendiente dQ/dP de la oferta.
+ * @returns {{ ratio: number, classification: 'convergent' | 'divergent' | 'oscillating' | null }} Factor que multiplica
+ *   la distancia al precio de equilibrio en cada periodo y tipo de proceso (null si las pendientes no se pueden calcular).
+ */
+export const classifyCobweb = (demandSlope, supplySlope) => {
+  const ratio = supplySlope / demandSlope;
+  if (Number.isNaN(ratio)) return { ratio, classification: null };
+  if (!isFinite(ratio) || Math.abs(Math.abs(ratio) - 1) > SLOPE_TOLERANCE) {
+    return { ratio, classification: Math.abs(ratio) < 1 ? 'convergent' : 'divergent' };
+  }
+  return { ratio, classification: 'oscillating' };
+};
+
+/**
+ * Simula el ajuste del precio periodo a periodo hasta llegar al equilibrio, salir del dominio de las curvas o
+ * completar MAX_PERIODS.
+ * @param {object} demand Curva de demanda (buildCurve).
+ * @param {object} supply Curva de oferta (buildCurve).
+ * @param {{ price: number, quantity: number }} equilibrium Equilibrio alrededor del que se clasifica el proceso.
+ * @param {number} initialPrice Precio del periodo 0.
+ * @returns {{ equilibrium: object, initialPrice: number, ratio: number, classification: string,
+ *   periods: Array<{ period: number, expectedPrice: number, quantity: number, price: number }>,
+ *   path: Array<{ quantity: number, price: number }>, stop: string | null }}
+ *   Periodos simulados, recorrido de la telaraña (dos puntos por periodo) y el motivo por el que se detuvo antes.
+ */
+export const simulateCobweb = (demand, supply, equilibrium, initialPrice) => {
+  const { ratio, classification } = classifyCobweb(
+    quantitySlope(demand, equilibrium.price, equilibrium.quantity),
+    quantitySlope(supply, equilibrium.price, equilibrium.quantity),
+  );
+  const periods = [];
+  const path = [];
+  const tolerance = 1e-6 * Math.max(1, equilibrium.price);
+  let stop = null;
+  let previousPrice = initialPrice;
+
+  for (let period = 1; period <= MAX_PERIODS; period++) {
+    const quantity = supply.quantityAt(previousPrice);
+    if (!isFinite(quantity) || quantity < 0) {
+      stop = `En el periodo ${period} los productores no ofrecerían una cantidad no negativa al precio ${previousPrice.toFixed(2)}: el proceso se detiene.`;
+      break;
+    }
+    const price = demand.priceAt(quantity);
+    if (!isFinite(price) || price < 0) {
+      stop = `En el periodo ${period} ningún precio no negativo hace que se compren ${quantity.toFixed(2)} unidades: el proceso se detiene.`;
+      break;
+    }
+    periods.push({ period, expectedPrice: previousPrice, quantity, price });
+    // Primero la decisión de los productores (sobre la oferta) y luego el precio que vacía el mercado (sobre la demanda)
+    path.push({ quantity, price: previousPrice }, { quantity, price });
+    if (Math.abs(price - equilibrium.price) < tolerance) {
+      stop = `El precio llegó al equilibrio en el periodo ${period}.`;
+      break;
+    }
+    previousPrice = price;
+  }
+
+  return { equilibrium, initialPrice, ratio, classification, periods, path, stop };
+};
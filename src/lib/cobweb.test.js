@@ -0,0 +1,61 @@
+import { describe, expect, it } from 'vitest';
+import { classifyCobweb } from './cobweb.js';
+import { analyzeMarket } from './market.js';
+
+const cobwebFor = (demandEq, supplyEq, initialPrice, scenarios = [], market = 'original') => (
+  analyzeMarket({ demandEq, supplyEq, scenarios, cobweb: { market, initialPrice } }).cobweb
+);
+
+describe('classifyCobweb', () => {
+  it('compara las pendientes de la oferta y la demanda', () => {
+    expect(classifyCobweb(-2, 1).classification).toBe('convergent');
+    expect(classifyCobweb(-1, 2).classification).toBe('divergent');
+    expect(classifyCobweb(-1, 1).classification).toBe('oscillating');
+    expect(classifyCobweb(-Infinity, 1).classification).toBe('convergent'); // Demanda horizontal
+    expect(classifyCobweb(NaN, 1).classification).toBeNull();
+  });
+});
+
+describe('simulateCobweb', () => {
+  it('se acerca al equilibrio cuando la oferta es más inclinada que la demanda', () => {
+    const cobweb = cobwebFor('16 - 2P', 'P + 4', '2');
+    expect(cobweb.classification).toBe('convergent');
+    expect(cobweb.ratio).toBeCloseTo(-0.5);
+    expect(cobweb.periods[0]).toMatchObject({ period: 1, expectedPrice: 2 });
+    expect(cobweb.periods[0].quantity).toBeCloseTo(6);
+    expect(cobweb.periods[0].price).toBeCloseTo(5);
+    expect(cobweb.periods[1].price).toBeCloseTo(3.5);
+    expect(cobweb.stop).toMatch(/llegó al equilibrio/);
+    expect(cobweb.path).toHaveLength(cobweb.periods.length * 2);
+  });
+
+  it('repite el mismo ciclo cuando las pendientes son iguales', () => {
+    const cobweb = cobwebFor('-P + 16', 'P + 4', '2');
+    expect(cobweb.classification).toBe('oscillating');
+    expect(cobweb.periods).toHaveLength(30);
+    expect(cobweb.periods[0].price).toBeCloseTo(10);
+    expect(cobweb.periods[1].price).toBeCloseTo(2);
+    expect(cobweb.stop).toBeNull();
+  });
+
+  it('se detiene cuando el precio divergente sale del dominio de las curvas', () => {
+    const cobweb = cobwebFor('16 - P', '2P - 2', '4');
+    expect(cobweb.classification).toBe('divergent');
+    expect(cobweb.periods).toHaveLength(1);
+    expect(cobweb.stop).toMatch(/periodo 2/);
+  });
+
+  it('usa las curvas del escenario elegido', () => {
+    const scenario = { id: 4, name: 'Más demanda', color: '#10B981', visible: true, demandEq: '', supplyEq: '', demandShift: '4', supplyShift: '' };
+    const cobweb = cobwebFor('-P + 16', 'P + 4', '6', [scenario], 'escenario_4');
+    expect(cobweb.reference).toBe('E1');
+    expect(cobweb.equilibrium.price).toBeCloseTo(8);
+    expect(cobweb.periods[0].price).toBeCloseTo(10);
+  });
+
+  it('rechaza un precio inicial negativo', () => {
+    const result = analyzeMarket({ demandEq: '-P + 16', supplyEq: 'P + 4', cobweb: { market: 'original', initialPrice: '-1' } });
+    expect(result.error).toMatch(/precio inicial de la telaraña/);
+    expect(result.cobweb).toBeNull();
+  });
+});
@@ -0,0 +1,286 @@
+import { parseEquation } from './parser.js';
+
+// Curvas Q(P) y P(Q), búsqueda de raíces y suma horizontal de curvas individuales
+
+// Límites de las ventanas de búsqueda de raíces sobre el precio (P >= 0)
+const ROOT_SEARCH_WINDOWS = [0, 10, 100, 1000, 10000, 100000, 1000000];
+const ROOT_SEARCH_SAMPLES = 400; // Muestras por ventana
+export const LINE_TOLERANCE = 1e-12; // Diferencia de pendientes o interceptos debajo de la cual dos rectas se consideran iguales
+
+// Refina por bisección una raíz de fn entre a y b, con fa = fn(a) y fn(b) de signo contrario
+const bisect = (fn, a, b, fa) => {
+  let lo = a;
+  let hi = b;
+  let flo = fa;
+  for (let k = 0; k < 100; k++) {
+    const mid = (lo + hi) / 2;
+    if (mid === lo || mid === hi) break; // El intervalo ya no se puede partir en punto flotante
+    const fmid = fn(mid);
+    if (fmid === 0) return mid;
+    if (flo * fmid < 0) {
+      hi = mid;
+    } else {
+      lo = mid;
+      flo = fmid;
+    }
+  }
+  return (lo + hi) / 2;
+};
+
+// Un cambio de signo con un valor enorme en la raíz es un polo, no un cruce
+const isCrossing = (fn, root, fa, fb) => Math.abs(fn(root)) <= 1e-6 * (1 + Math.abs(fa) + Math.abs(fb));
+
+/**
+ * Encuentra numéricamente las raíces de fn(x) = 0 para x >= 0.
+ * Recorre ventanas crecientes buscando cambios de signo y los refina por bisección.
+ * Descarta los cambios de signo causados por discontinuidades (ej. polos en 1/(P-5)).
+ * @param {(x: number) => number} fn Función continua a evaluar.
+ * @returns {number[]} Raíces encontradas, ordenadas de menor a mayor.
+ */
+export const findRoots = (fn) => {
+  const roots = [];
+  const addRoot = (x) => {
+    if (!roots.some((r) => Math.abs(r - x) < 1e-7 * Math.max(1, Math.abs(x)))) roots.push(x);
+  };
+
+  for (let w = 0; w < ROOT_SEARCH_WINDOWS.length - 1; w++) {
+    const from = ROOT_SEARCH_WINDOWS[w];
+    const step = (ROOT_SEARCH_WINDOWS[w + 1] - from) / ROOT_SEARCH_SAMPLES;
+    let a = from;
+    let fa = fn(a);
+
+    for (let i = 1; i <= ROOT_SEARCH_SAMPLES; i++) {
+      const b = from + i * step;
+      const fb = fn(b);
+
+      if (fa === 0) {
+        addRoot(a);
+      } else if (isFinite(fa) && isFinite(fb) && fa * fb < 0) {
+        const root = bisect(fn, a, b, fa);
+        if (isCrossing(fn, root, fa, fb)) addRoot(root);
+      }
+
+      a = b;
+      fa = fb;
+    }
+    if (w === ROOT_SEARCH_WINDOWS.length - 2 && fa === 0) addRoot(a);
+  }
+
+  return roots.sort((x, y) => x - y);
+};
+
+/**
+ * Inversa numérica de fn para x >= 0: tabula fn una sola vez sobre las mismas ventanas que findRoots y cada
+ * consulta solo refina el primer tramo de la tabla que contiene el valor buscado. Sirve cuando hay que invertir
+ * la misma función muchas veces (ej. la demanda inversa de un monopolio escrita como Q(P)).
+ * @param {(x: number) => number} fn Función continua a invertir.
+ * @returns {(y: number) => number} Menor x >= 0 con fn(x) = y, o NaN si fn nunca alcanza y.
+ */
+export const invertFunction = (fn) => {
+  const xs = [];
+  for (let w = 0; w < ROOT_SEARCH_WINDOWS.length - 1; w++) {
+    const from = ROOT_SEARCH_WINDOWS[w];
+    const step = (ROOT_SEARCH_WINDOWS[w + 1] - from) / ROOT_SEARCH_SAMPLES;
+    for (let i = w === 0 ? 0 : 1; i <= ROOT_SEARCH_SAMPLES; i++) xs.push(from + i * step);
+  }
+  const ys = xs.map(fn);
+
+  // Recorre la tabla hasta el primer tramo que cruza y
+  const scan = (y) => {
+    const gap = (x) => fn(x) - y;
+    for (let i = 0; i < xs.length - 1; i++) {
+      const fa = ys[i] - y;
+      const fb = ys[i + 1] - y;
+      if (fa === 0) return xs[i];
+      if (isFinite(fa) && isFinite(fb) && fa * fb < 0) {
+        const root = bisect(gap, xs[i], xs[i + 1], fa);
+        if (isCrossing(gap, root, fa, fb)) return root;
+      }
+    }
+    return ys[ys.length - 1] === y ? xs[xs.length - 1] : NaN;
+  };
+
+  // Lo habitual en una curva de oferta o demanda es una tabla monótona (seguida, si acaso, de valores fuera del
+  // dominio): ahí el primer tramo que alcanza y se encuentra por búsqueda binaria en lugar de recorrer la tabla
+  let end = ys.length;
+  while (end > 0 && !isFinite(ys[end - 1])) end--;
+  const direction = end > 1 ? Math.sign(ys[end - 1] - ys[0]) : 0;
+  const monotone = direction !== 0
+    && ys.slice(0, end).every((value, i) => isFinite(value) && (i === 0 || (value - ys[i - 1]) * direction >= 0));
+  if (!monotone) return scan;
+
+  return (y) => {
+    if ((ys[end - 1] - y) * direction < 0) return NaN;
+    let lo = 0;
+    let hi = end - 1;
+    while (lo < hi) {
+      const mid = Math.floor((lo + hi) / 2);
+      if ((ys[mid] - y) * direction >= 0) hi = mid;
+      else lo = mid + 1;
+    }
+    if (ys[lo] === y) return xs[lo];
+    if (lo === 0) return NaN;
+    const gap = (x) => fn(x) - y;
+    const root = bisect(gap, xs[lo - 1], xs[lo], ys[lo - 1] - y);
+    // Un salto (polo) dentro del tramo no es un cruce: se busca en el resto de la tabla
+    return isCrossing(gap, root, ys[lo - 1] - y, ys[lo] - y) ? root : scan(y);
+  };
+};
+
+/**
+ * Construye una curva de oferta o demanda desplazada horizontalmente.
+ * Cada curva expone la cantidad para un precio y el precio para una cantidad; la dirección
+ * en que se escribió la ecuación se evalúa directamente y la otra se obtiene numéricamente.
+ * @param {object} parsed Resultado de parseEquation.
+ * @param {number} shift Desplazamiento que se suma a la cantidad.
+ * @returns {{ form: 'direct' | 'inverse', quantityAt: (p: number) => number, priceAt: (q: number) => number }}
+ *   Curva con sus dos evaluaciones; priceAt devuelve NaN si la curva nunca alcanza esa cantidad.
+ */
+export const buildCurve = (parsed, shift) => {
+  if (parsed.form === 'direct') {
+    const quantityAt = (p) => parsed.evaluate(p) + shift;
+    return {
+      form: 'direct',
+      quantityAt,
+      priceAt: (q) => {
+        const roots = findRoots((p) => quantityAt(p) - q);
+        return roots.length > 0 ? roots[0] : NaN;
+      },
+    };
+  }
+
+  // Forma inversa P = g(Q): desplazar la cantidad equivale a evaluar g(Q - desplazamiento)
+  const priceAt = (q) => (q - shift >= 0 ? parsed.evaluate(q - shift) : NaN);
+  return {
+    form: 'inverse',
+    priceAt,
+    quantityAt: (p) => {
+      const roots = findRoots((q) => priceAt(q) - p);
+      return roots.length > 0 ? roots[0] : NaN;
+    },
+  };
+};
+
+/**
+ * Detecta si dos rectas nunca se cruzan (paralelas) o son la misma recta (coincidentes).
+ * Considera rectas Q = aP + b (incluidas las verticales, a = 0) y rectas horizontales P = c.
+ * @param {object} demand Resultado de parseEquation para la demanda.
+ * @param {object} supply Resultado de parseEquation para la oferta.
+ * @param {number} demandShift Desplazamiento de la demanda.
+ * @param {number} supplyShift Desplazamiento de la oferta.
+ * @returns {'parallel' | 'coincident' | null} Relación entre las rectas, o null si se cruzan o no son rectas.
+ */
+export const linearRelation = (demand, supply, demandShift, supplyShift) => {
+  if (demand.horizontalPrice !== null && supply.horizontalPrice !== null) {
+    return Math.abs(demand.horizontalPrice - supply.horizontalPrice) < LINE_TOLERANCE ? 'coincident' : 'parallel';
+  }
+  if (demand.isLinear && supply.isLinear && Math.abs(demand.slope - supply.slope) < LINE_TOLERANCE) {
+    return Math.abs((demand.intercept + demandShift) - (supply.intercept + supplyShift)) < LINE_TOLERANCE ? 'coincident' : 'parallel';
+  }
+  return null;
+};
+
+/**
+ * Muestrea una curva para graficarla (Cantidad en X, Precio en Y).
+ * Las curvas directas se evalúan sobre una malla de precios y las inversas sobre una malla de cantidades.
+ * @param {object} curve Curva (buildCurve).
+ * @param {number} maxPrice Precio máximo de la malla.
+ * @param {number} maxQuantity Cantidad máxima de la malla.
+ * @param {number} numPoints Número de intervalos de la malla.
+ * @returns {Array<{ quantity: number, price: number }>} Puntos válidos (P >= 0, Q >= 0).
+ */
+export const sampleCurve = (curve, maxPrice, maxQuantity, numPoints) => {
+  const points = [];
+  for (let i = 0; i <= numPoints; i++) {
+    const point = curve.form === 'direct'
+      ? { price: (i * maxPrice) / numPoints, quantity: curve.quantityAt((i * maxPrice) / numPoints) }
+      : { quantity: (i * maxQuantity) / numPoints, price: curve.priceAt((i * maxQuantity) / numPoints) };
+    if (isFinite(point.quantity) && isFinite(point.price) && point.quantity >= 0 && point.price >= 0) points.push(point);
+  }
+  return points;
+};
+
+// Trata los valores indefinidos de una curva (fuera de su dominio) como 0
+export const finiteOrZero = (value) => (isFinite(value) ? value : 0);
+
+/**
+ * Cantidad de un participante a un precio. Fuera del dominio de su curva (ej. P = 16 - Q^2 con P > 16)
+ * devuelve la distancia negativa al precio en que su cantidad es 0, para que la suma siga siendo continua.
+ * @param {object} curve Curva individual (buildCurve).
+ * @param {number} zeroPrice Precio en que la cantidad del participante es 0 (curve.priceAt(0)).
+ * @param {number} p Precio.
+ * @returns {number} Cantidad (negativa si el participante no compra o no vende a ese precio).
+ */
+const participantQuantity = (curve, zeroPrice, p) => {
+  const quantity = curve.quantityAt(p);
+  if (isFinite(quantity)) return quantity;
+  return isFinite(zeroPrice) ? -Math.abs(p - zeroPrice) : NaN;
+};
+
+/**
+ * Suma horizontalmente las curvas individuales de consumidores o empresas para obtener la curva de mercado.
+ * Cada participante aporta máx(0, qᵢ(P)), lo que produce quiebres donde una curva individual llega a Q = 0.
+ * Donde nadie participa, la curva sigue con la mayor cantidad individual (negativa) para que el precio
+ * en que la curva de mercado llega a 0 sea una raíz única y no un tramo plano.
+ * @param {Array<{ name: string, equation: string }>} participants Participantes con su ecuación individual.
+ * @returns {object} Objeto con la forma de parseEquation (directa y no lineal) y la lista de participantes
+ *   con su curva individual, o un error que indica qué participante falló.
+ */
+export const aggregateCurves = (participants) => {
+  const base = {
+    form: 'direct', inputForm: 'direct', slope: null, intercept: null, isLinear: false, horizontalPrice: null,
+    expression: participants.map(({ name }) => name).join(' + '),
+  };
+  if (participants.length === 0) {
+    return { ...base, evaluate: null, participants: [], error: "Agrega al menos un participante." };
+  }
+
+  const parsedList = participants.map(({ name, equation }) => ({ name, parsed: parseEquation(equation) }));
+  const invalid = parsedList.find(({ parsed }) => parsed.error || parsed.horizontalPrice !== null);
+  if (invalid) {
+    const error = invalid.parsed.error
+      ? `«${invalid.name}»: ${invalid.parsed.error}`
+      : `«${invalid.name}» es horizontal (perfectamente elástica): su cantidad es ilimitada a ese precio y no se puede sumar horizontalmente.`;
+    return { ...base, evaluate: null, participants: [], error };
+  }
+
+  // La búsqueda del equilibrio evalúa la suma miles de veces: una curva no lineal escrita como P(Q) se invierte una
+  // sola vez y el precio en que cada participante deja de comprar o vender se calcula de antemano
+  const members = parsedList.map(({ name, parsed }) => {
+    const curve = buildCurve(parsed, 0);
+    return { name, curve: curve.form === 'inverse' ? { ...curve, quantityAt: invertFunction(curve.priceAt) } : curve };
+  });
+  const zeroPrices = members.map(({ curve }) => curve.priceAt(0));
+  const evaluate = (p) => {
+    const quantities = members.map(({ curve }, index) => participantQuantity(curve, zeroPrices[index], p)).filter((q) => isFinite(q));
+    if (quantities.length === 0) return NaN;
+    const total = quantities.reduce((sum, q) => sum + Math.max(q, 0), 0);
+    return total > 0 ? total : Math.max(...quantities);
+  };
+  return { ...base, evaluate, participants: members, error: null };
+};
+
+/**
+ * Reparte la cantidad de mercado entre los participantes a un precio dado.
+ * @param {Array<{ name: string, curve: object }>} participants Participantes de aggregateCurves.
+ * @param {number} price Precio.
+ * @returns {Array<{ name: string, quantity: number }>} Cantidad de cada participante (0 si no participa).
+ */
+export const participantBreakdown = (participants, price) => participants.map(({ name, curve }) => ({
+  name,
+  quantity: Math.max(finiteOrZero(curve.quantityAt(price)), 0),
+}));
+
+/**
+ * Dirección en que cambió una curva entre dos estados del mercado, comparando la cantidad de ambas a un precio.
+ * @param {object} before Curva anterior (buildCurve).
+ * @param {object} after Curva nueva (buildCurve).
+ * @param {number} price Precio de referencia (normalmente el equilibrio anterior).
+ * @returns {1 | -1 | 0 | null} 1 si aumentó (se movió a la derecha), -1 si disminuyó, 0 si no cambió, null si no se puede comparar.
+ */
+export const curveChange = (before, after, price) => {
+  const difference = after.quantityAt(price) - before.quantityAt(price);
+  if (!isFinite(difference)) return null;
+  if (Math.abs(difference) < 1e-9) return 0;
+  return difference > 0 ? 1 : -1;
+};
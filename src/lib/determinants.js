@@ -0,0 +1,125 @@
+import { formatCoefficient, formatExactCoefficient, formatLinearExpression } from './format.js';
+
+// Demanda y oferta lineales con determinantes además del precio: Qd = a + bP + cI + dPr… y Qs = e + fP + gW + hN.
+// Cada determinante tiene un valor base (mercado original) y un valor después del cambio; la diferencia,
+// multiplicada por su coeficiente, es el desplazamiento horizontal de la curva.
+
+// Tipos de determinante, la curva a la que pertenecen y el símbolo que se usa en la ecuación
+export const DETERMINANT_KINDS = {
+  income: { side: 'demand', label: 'Ingreso', symbol: 'I' },
+  relatedPrice: { side: 'demand', label: 'Precio de un bien relacionado', symbol: 'Pr' },
+  inputCost: { side: 'supply', label: 'Costo de un insumo', symbol: 'W' },
+  firms: { side: 'supply', label: 'Número de empresas', symbol: 'N' },
+};
+
+// Nombre de cada curva en los mensajes
+const SIDE_NAMES = { demand: 'demanda', supply: 'oferta' };
+
+/**
+ * Clasifica un determinante por el signo de su coeficiente.
+ * @param {string} kind Tipo de determinante (clave de DETERMINANT_KINDS).
+ * @param {number} coefficient Coeficiente del determinante en la ecuación.
+ * @returns {string} Clasificación en español (ej. "bien normal", "bien complementario").
+ */
+export const classifyDeterminant = (kind, coefficient) => {
+  const sign = Math.sign(coefficient);
+  switch (kind) {
+    case 'income':
+      return sign > 0 ? 'bien normal' : sign < 0 ? 'bien inferior' : 'el ingreso no afecta la demanda';
+    case 'relatedPrice':
+      return sign > 0 ? 'bien sustituto' : sign < 0 ? 'bien complementario' : 'bien independiente';
+    case 'inputCost':
+      return sign < 0 ? 'un insumo más caro reduce la oferta' : sign > 0 ? 'signo poco común: un insumo más caro aumenta la oferta' : 'el costo no afecta la oferta';
+    case 'firms':
+      return sign > 0 ? 'más empresas aumentan la oferta' : sign < 0 ? 'signo poco común: más empresas reducen la oferta' : 'el número de empresas no afecta la oferta';
+    default:
+      return '';
+  }
+};
+
+// Error de un parámetro mal escrito
+class DeterminantError extends Error {}
+
+// Lee un número escrito; vacío toma el valor por defecto (si lo hay)
+const readValue = (value, label, fallback) => {
+  const text = String(value ?? '').trim();
+  if (text === '' && fallback !== undefined) return fallback;
+  const number = Number(text);
+  if (text === '' || !isFinite(number)) throw new DeterminantError(`${label} debe ser un número.`);
+  return number;
+};
+
+/**
+ * Escribe la ecuación completa de una curva con sus determinantes (ej. "Qd = 20 - 2P + 0.5I + Pr").
+ * @param {string} side 'demand' o 'supply'.
+ * @param {{ intercept: string, priceSlope: string, terms: Array<object> }} curve Parámetros de la curva.
+ * @returns {string} Ecuación con los símbolos de cada determinante (los valores inválidos se muestran como "?").
+ */
+export const describeDeterminantEquation = (side, curve) => {
+  const number = (value) => (String(value).trim() !== '' && isFinite(Number(value)) ? Number(value) : null);
+  const intercept = number(curve.intercept);
+  const priceSlope = number(curve.priceSlope);
+  let text = `${side === 'demand' ? 'Qd' : 'Qs'} = ${intercept === null ? '?' : formatCoefficient(intercept)}`;
+  const terms = [{ coefficient: priceSlope, symbol: 'P' }, ...curve.terms.map(term => ({
+    coefficient: number(term.coefficient),
+    symbol: DETERMINANT_KINDS[term.kind].symbol,
+  }))];
+  terms.forEach(({ coefficient, symbol }) => {
+    if (coefficient === null) {
+      text += ` + ?${symbol}`;
+    } else {
+      const magnitude = Math.abs(coefficient) === 1 ? '' : formatCoefficient(Math.abs(coefficient));
+      text += ` ${coefficient < 0 ? '-' : '+'} ${magnitude}${symbol}`;
+    }
+  });
+  return text;
+};
+
+/**
+ * Calcula las curvas del mercado original y el desplazamiento causado por el cambio de los determinantes.
+ * @param {{ demand: object, supply: object }} determinants Parámetros de cada curva: intercept, priceSlope y
+ *   terms [{ kind, name, coefficient, baseline, changed }] (changed vacío significa que el valor no cambia).
+ * @returns {{ error: string, demandEq: string, supplyEq: string, demandShift: number, supplyShift: number,
+ *   effects: Array<{ side: string, kind: string, name: string, coefficient: number, baseline: number, changed: number,
+ *   shift: number, classification: string, description: string | null }> }}
+ *   Ecuaciones en P con los determinantes en su valor base, desplazamiento de cada curva y efecto de cada determinante.
+ */
+export const buildDeterminantModel = (determinants) => {
+  const model = { error: '', demandEq: '', supplyEq: '', demandShift: 0, supplyShift: 0, effects: [] };
+  try {
+    ['demand', 'supply'].forEach((side) => {
+      const curve = determinants[side];
+      const sideName = SIDE_NAMES[side];
+      const priceSlope = readValue(curve.priceSlope, `La pendiente del precio en la ${sideName}`);
+      let intercept = readValue(curve.intercept, `La constante de la ${sideName}`);
+      let shift = 0;
+      curve.terms.forEach((term) => {
+        const name = term.name.trim() || DETERMINANT_KINDS[term.kind].label;
+        const coefficient = readValue(term.coefficient, `El coeficiente de «${name}»`);
+        const baseline = readValue(term.baseline, `El valor base de «${name}»`);
+        const changed = readValue(term.changed, `El valor después del cambio de «${name}»`, baseline);
+        // El determinante en su valor base se suma a la constante de la curva original
+        intercept += coefficient * baseline;
+        const termShift = coefficient * (changed - baseline);
+        shift += termShift;
+        let description = null;
+        if (changed !== baseline) {
+          const movement = termShift > 0 ? 'se desplaza a la derecha' : termShift < 0 ? 'se desplaza a la izquierda' : 'no se desplaza';
+          description = `${changed > baseline ? 'Aumento' : 'Disminución'} de «${name}» (${formatCoefficient(baseline)} → ${formatCoefficient(changed)}) → la ${sideName} ${movement}`
+            + (termShift !== 0 ? ` ${formatCoefficient(Math.abs(termShift))} unidades a cada precio.` : '.');
+        }
+        model.effects.push({
+          side, kind: term.kind, name, coefficient, baseline, changed, shift: termShift,
+          classification: classifyDeterminant(term.kind, coefficient), description,
+        });
+      });
+      // La ecuación se vuelve a leer para resolver el mercado: se escribe con toda la precisión de los coeficientes
+      model[`${side}Eq`] = formatLinearExpression(priceSlope, intercept, 'P', formatExactCoefficient);
+      model[`${side}Shift`] = Number(formatExactCoefficient(shift));
+    });
+  } catch (e) {
+    if (!(e instanceof DeterminantError)) throw e;
+    return { ...model, error: e.message };
+  }
+  return model;
+};
@@ -0,0 +1,83 @@
+import { describe, expect, it } from 'vitest';
+import { buildDeterminantModel, classifyDeterminant, describeDeterminantEquation } from './determinants.js';
+import { analyzeMarket } from './market.js';
+
+const term = (kind, name, coefficient, baseline, changed = '') => ({ id: 1, kind, name, coefficient, baseline, changed });
+
+const determinants = {
+  demand: { intercept: '10', priceSlope: '-2', terms: [term('income', 'Ingreso', '0.1', '50', '70'), term('relatedPrice', 'Precio del té', '1', '3')] },
+  supply: { intercept: '6', priceSlope: '2', terms: [term('inputCost', 'Salario', '-1', '4'), term('firms', 'Empresas', '0.5', '10')] },
+};
+
+describe('classifyDeterminant', () => {
+  it('clasifica los bienes por el signo del coeficiente', () => {
+    expect(classifyDeterminant('income', 0.5)).toBe('bien normal');
+    expect(classifyDeterminant('income', -0.5)).toBe('bien inferior');
+    expect(classifyDeterminant('relatedPrice', 2)).toBe('bien sustituto');
+    expect(classifyDeterminant('relatedPrice', -2)).toBe('bien complementario');
+    expect(classifyDeterminant('relatedPrice', 0)).toBe('bien independiente');
+    expect(classifyDeterminant('inputCost', 1)).toContain('poco común');
+  });
+});
+
+describe('buildDeterminantModel', () => {
+  it('suma los determinantes en su valor base y calcula el desplazamiento del cambio', () => {
+    const model = buildDeterminantModel(determinants);
+    expect(model.error).toBe('');
+    expect(model.demandEq).toBe('-2P + 18'); // 10 + 0.1·50 + 1·3
+    expect(model.supplyEq).toBe('2P + 7'); // 6 - 1·4 + 0.5·10
+    expect(model.demandShift).toBeCloseTo(2);
+    expect(model.supplyShift).toBe(0);
+    expect(model.effects[0].description).toBe('Aumento de «Ingreso» (50 → 70) → la demanda se desplaza a la derecha 2 unidades a cada precio.');
+    expect(model.effects[1].description).toBeNull();
+  });
+
+  it('escribe las ecuaciones con toda la precisión de los coeficientes', () => {
+    const model = buildDeterminantModel({
+      demand: { intercept: '10', priceSlope: '-0.12345', terms: [term('income', 'Ingreso', '0.123456', '50', '51'), term('relatedPrice', 'Té', '0.1', '0.2')] },
+      supply: { intercept: '0.1', priceSlope: '0.2', terms: [term('firms', 'Empresas', '0.0000001', '3')] },
+    });
+    expect(model.demandEq).toBe('-0.12345P + 16.1928'); // 10 + 0.123456·50 + 0.1·0.2
+    expect(model.supplyEq).toBe('0.2P + 0.1000003');
+    expect(model.demandShift).toBe(0.123456);
+    // El mercado que se resuelve es el del modelo, sin coeficientes redondeados
+    const result = analyzeMarket({ demandEq: model.demandEq, supplyEq: model.supplyEq });
+    expect(result.states[0].equilibria[0].price).toBeCloseTo((16.1928 - 0.1000003) / (0.2 + 0.12345), 9);
+  });
+
+  it('un bien inferior se desplaza a la izquierda cuando sube el ingreso', () => {
+    const model = buildDeterminantModel({ ...determinants, demand: { ...determinants.demand, terms: [term('income', 'Ingreso', '-0.2', '50', '60')] } });
+    expect(model.demandShift).toBeCloseTo(-2);
+    expect(model.effects[0].classification).toBe('bien inferior');
+    expect(model.effects[0].description).toContain('a la izquierda');
+  });
+
+  it('informa los valores que no son números', () => {
+    const model = buildDeterminantModel({ ...determinants, supply: { ...determinants.supply, terms: [term('firms', 'Empresas', 'x', '10')] } });
+    expect(model.error).toBe('El coeficiente de «Empresas» debe ser un número.');
+  });
+
+  it('escribe la ecuación con los símbolos de los determinantes', () => {
+    expect(describeDeterminantEquation('demand', determinants.demand)).toBe('Qd = 10 - 2P + 0.1I + Pr');
+    expect(describeDeterminantEquation('supply', { ...determinants.supply, intercept: '' })).toBe('Qs = ? + 2P - W + 0.5N');
+  });
+});
+
+describe('analyzeMarket con determinantes', () => {
+  it('agrega el cambio de los determinantes como primer escenario', () => {
+    const result = analyzeMarket({ determinants });
+    expect(result.error).toBe('');
+    expect(result.markets.map(market => market.label)).toEqual(['E0', 'E1']);
+    expect(result.markets[0].equilibria[0].price).toBeCloseTo(2.75);
+    expect(result.markets[1].equilibria[0].price).toBeCloseTo(3.25);
+    expect(result.markets[1].equilibria[0].quantity).toBeCloseTo(13.5);
+    expect(result.determinants.effects).toHaveLength(4);
+  });
+
+  it('sin cambios solo calcula el mercado original', () => {
+    const unchanged = { ...determinants, demand: { ...determinants.demand, terms: [term('income', 'Ingreso', '0.1', '50')] } };
+    expect(analyzeMarket({ determinants: unchanged }).markets).toHaveLength(1);
+    expect(analyzeMarket({ determinants: { ...determinants, demand: { ...determinants.demand, priceSlope: '' } } }).error)
+      .toBe('Error en los determinantes: La pendiente del precio en la demanda debe ser un número.');
+  });
+});
@@ -0,0 +1,62 @@
+// Elasticidades precio puntuales y de arco
+
+/**
+ * Pendiente dQ/dP de una curva en un punto.
+ * La derivada se obtiene por diferencias centrales sobre la forma en que se escribió la ecuación.
+ * @param {object} curve Curva (buildCurve).
+ * @param {number} price Precio del punto.
+ * @param {number} quantity Cantidad del punto.
+ * @returns {number} Pendiente (±Infinity si la curva es horizontal, NaN si no se puede calcular).
+ */
+export const quantitySlope = (curve, price, quantity) => {
+  if (curve.form === 'direct') {
+    const h = Math.max(1e-6, Math.abs(price) * 1e-6);
+    return price - h >= 0
+      ? (curve.quantityAt(price + h) - curve.quantityAt(price - h)) / (2 * h)
+      : (curve.quantityAt(price + h) - curve.quantityAt(price)) / h;
+  }
+  const h = Math.max(1e-6, Math.abs(quantity) * 1e-6);
+  const dPdQ = quantity - h >= 0
+    ? (curve.priceAt(quantity + h) - curve.priceAt(quantity - h)) / (2 * h)
+    : (curve.priceAt(quantity + h) - curve.priceAt(quantity)) / h;
+  return 1 / dPdQ;
+};
+
+/**
+ * Calcula la elasticidad precio puntual de una curva: ε = (dQ/dP) · (P/Q).
+ * @param {object} curve Curva (buildCurve).
+ * @param {number} price Precio del punto.
+ * @param {number} quantity Cantidad del punto.
+ * @returns {number | null} Elasticidad (±Infinity si Q = 0), o null si no se puede calcular.
+ */
+export const pointElasticity = (curve, price, quantity) => {
+  const dQdP = quantitySlope(curve, price, quantity);
+  if (Number.isNaN(dQdP)) return null;
+  if (!isFinite(dQdP)) return dQdP;
+  if (quantity === 0) return dQdP === 0 || price === 0 ? 0 : Math.sign(dQdP) * Infinity;
+  return (dQdP * price) / quantity;
+};
+
+/**
+ * Calcula la elasticidad arco (método del punto medio) entre dos puntos.
+ * @param {{ price: number, quantity: number }} from Punto inicial.
+ * @param {{ price: number, quantity: number }} to Punto final.
+ * @returns {number | null} Elasticidad arco, o null si el precio no cambia.
+ */
+export const arcElasticity = (from, to) => {
+  const deltaP = (to.price - from.price) / ((to.price + from.price) / 2);
+  const deltaQ = (to.quantity - from.quantity) / ((to.quantity + from.quantity) / 2);
+  if (!isFinite(deltaP) || !isFinite(deltaQ) || Math.abs(deltaP) < 1e-12) return null;
+  return deltaQ / deltaP;
+};
+
+/**
+ * Punto de elasticidad unitaria de una demanda lineal Q = aP + b (a < 0): P = -b / 2a, Q = b / 2.
+ * @param {number} slope Pendiente a.
+ * @param {number} intercept Intercepto b (ya desplazado).
+ * @returns {{ price: number, quantity: number } | null} Punto, o null si la demanda no tiene ese punto en el primer cuadrante.
+ */
+export const unitElasticPoint = (slope, intercept) => {
+  if (!(slope < 0) || !(intercept > 0)) return null;
+  return { price: -intercept / (2 * slope), quantity: intercept / 2 };
+};
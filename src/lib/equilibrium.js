@@ -0,0 +1,51 @@
+import { findRoots } from './curves.js';
+
+// Búsqueda numérica de los cruces entre la oferta y la demanda
+
+// Cuña nula entre el precio del comprador y el del vendedor (mercado sin impuestos)
+export const NO_WEDGE = { toBuyer: (p) => p, toSeller: (p) => p };
+
+/**
+ * Encuentra los equilibrios con una cuña entre el precio que pagan los compradores y el que reciben los vendedores.
+ * Se busca sobre el precio cuando ambas curvas están en forma directa y sobre la cantidad en
+ * cualquier otro caso, para no tener que invertir numéricamente dentro de la búsqueda.
+ * @param {object} demand Curva de demanda (buildCurve).
+ * @param {object} supply Curva de oferta (buildCurve).
+ * @param {{ toBuyer: (p: number) => number, toSeller: (p: number) => number }} wedge Conversión entre ambos precios.
+ * @returns {Array<{ buyerPrice: number, sellerPrice: number, quantity: number }>} Equilibrios ordenados por precio.
+ */
+export const findWedgeEquilibria = (demand, supply, wedge) => {
+  let points;
+  if (demand.form === 'direct' && supply.form === 'direct') {
+    points = findRoots((ps) => demand.quantityAt(wedge.toBuyer(ps)) - supply.quantityAt(ps))
+      .map((sellerPrice) => ({ sellerPrice, buyerPrice: wedge.toBuyer(sellerPrice), quantity: supply.quantityAt(sellerPrice) }));
+  } else if (demand.form === 'inverse' && supply.form === 'inverse') {
+    points = findRoots((q) => demand.priceAt(q) - wedge.toBuyer(supply.priceAt(q)))
+      .map((quantity) => ({ buyerPrice: demand.priceAt(quantity), sellerPrice: supply.priceAt(quantity), quantity }));
+  } else if (demand.form === 'inverse') {
+    // Se recorre la demanda inversa y se compara con la cantidad ofrecida al precio del vendedor
+    points = findRoots((q) => supply.quantityAt(wedge.toSeller(demand.priceAt(q))) - q)
+      .map((quantity) => ({ buyerPrice: demand.priceAt(quantity), sellerPrice: wedge.toSeller(demand.priceAt(quantity)), quantity }));
+  } else {
+    // Se recorre la oferta inversa y se compara con la cantidad demandada al precio del comprador
+    points = findRoots((q) => demand.quantityAt(wedge.toBuyer(supply.priceAt(q))) - q)
+      .map((quantity) => ({ buyerPrice: wedge.toBuyer(supply.priceAt(quantity)), sellerPrice: supply.priceAt(quantity), quantity }));
+  }
+
+  return points
+    .filter(({ buyerPrice, sellerPrice, quantity }) => isFinite(buyerPrice) && isFinite(sellerPrice) && isFinite(quantity)
+      && quantity >= -1e-9 && buyerPrice >= -1e-9 && sellerPrice >= -1e-9)
+    .map(({ buyerPrice, sellerPrice, quantity }) => ({
+      buyerPrice: Math.max(0, buyerPrice), sellerPrice: Math.max(0, sellerPrice), quantity: Math.max(0, quantity),
+    }))
+    .sort((a, b) => a.buyerPrice - b.buyerPrice);
+};
+
+/**
+ * Encuentra todos los equilibrios (P >= 0, Q >= 0) donde la demanda iguala a la oferta.
+ * @param {object} demand Curva de demanda (buildCurve).
+ * @param {object} supply Curva de oferta (buildCurve).
+ * @returns {Array<{ price: number, quantity: number }>} Equilibrios ordenados por precio.
+ */
+export const findEquilibria = (demand, supply) => findWedgeEquilibria(demand, supply, NO_WEDGE)
+  .map(({ buyerPrice, quantity }) => ({ price: buyerPrice, quantity }));
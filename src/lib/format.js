@@ -0,0 +1,72 @@
+// Formato de los resultados numéricos para la interfaz y para las explicaciones
+
+/**
+ * Clasifica una elasticidad según su valor absoluto.
+ * @param {number | null} value Elasticidad.
+ * @returns {string} Clasificación en español.
+ */
+export const classifyElasticity = (value) => {
+  if (value === null) return 'no definida';
+  const magnitude = Math.abs(value);
+  if (magnitude === Infinity) return 'perfectamente elástica';
+  if (magnitude < 1e-9) return 'perfectamente inelástica';
+  if (Math.abs(magnitude - 1) < 0.005) return 'unitaria';
+  return magnitude > 1 ? 'elástica' : 'inelástica';
+};
+
+// Formatea una elasticidad con su clasificación (ej. "-1.50 (elástica)")
+export const formatElasticity = (value) => {
+  if (value === null) return 'N/A';
+  const number = Math.abs(value) === Infinity ? `${value < 0 ? '-' : ''}∞` : value.toFixed(2);
+  return `${number} (${classifyElasticity(value)})`;
+};
+
+// Formatea un excedente para mostrarlo (null significa que el área no está acotada)
+export const formatSurplus = (value) => (value === null ? 'no acotado' : value.toFixed(2));
+
+// Formatea la variación de un excedente entre dos equilibrios (ej. E0 y E1) con su signo
+export const formatSurplusChange = (before, after) => {
+  if (before === null || after === null) return 'no determinado';
+  const change = after - before;
+  return `${change >= 0 ? '+' : ''}${change.toFixed(2)}`;
+};
+
+/**
+ * Formatea un número para mostrarlo en una ecuación (hasta 4 decimales, sin ceros sobrantes).
+ * @param {number} value Número a formatear.
+ * @returns {string} Número formateado.
+ */
+export const formatCoefficient = (value) => String(parseFloat(value.toFixed(4)));
+
+/**
+ * Formatea un número con toda su precisión para una ecuación que se vuelve a leer (parseEquation), de modo que
+ * describa exactamente la misma curva. Solo descarta el ruido de punto flotante (ej. 0.1 + 0.2 → "0.3") y nunca
+ * usa notación exponencial, que el parser leería como la constante e.
+ * @param {number} value Número a formatear.
+ * @returns {string} Número formateado.
+ */
+export const formatExactCoefficient = (value) => {
+  const clean = parseFloat(value.toPrecision(12));
+  const text = String(clean);
+  return text.includes('e') ? clean.toFixed(20).replace(/\.?0+$/, '') : text;
+};
+
+/**
+ * Escribe una recta y = mx + c como texto (ej. "-P + 16", "0.5Q - 8").
+ * @param {number} slope Pendiente m.
+ * @param {number} intercept Intercepto c.
+ * @param {string} variable Nombre de la variable x (ej. 'P').
+ * @param {(value: number) => string} [format] Formato de cada número (formatCoefficient por defecto).
+ * @returns {string} Expresión formateada.
+ */
+export const formatLinearExpression = (slope, intercept, variable, format = formatCoefficient) => {
+  let text = '';
+  if (slope !== 0) {
+    text = slope === 1 ? variable : slope === -1 ? `-${variable}` : `${format(slope)}${variable}`;
+  }
+  if (intercept !== 0 || text === '') {
+    const sign = intercept < 0 ? '-' : '+';
+    text = text === '' ? format(intercept) : `${text} ${sign} ${format(Math.abs(intercept))}`;
+  }
+  return text;
+};
@@ -0,0 +1,101 @@
+import { formatLinearExpression } from './format.js';
+import { parseEquation } from './parser.js';
+
+// Cálculos para mover las curvas con el ratón, los deslizadores o el teclado:
+// conversión de píxeles a coordenadas del gráfico, curva más cercana, ajuste a la grilla y giro de rectas.
+
+// Límites del factor de giro: la pendiente dQ/dP se multiplica por un valor entre 1/4 y 4
+export const ROTATION_LIMITS = { min: 0.25, max: 4 };
+
+/**
+ * Redondea un valor al múltiplo más cercano de step.
+ * @param {number} value Valor a ajustar.
+ * @param {number} step Tamaño de la grilla (ej. 1 para enteros).
+ * @returns {number} Valor ajustado, sin ruido de punto flotante.
+ */
+export const snapTo = (value, step) => parseFloat((Math.round(value / step) * step).toFixed(6));
+
+/**
+ * Convierte una posición en pantalla a cantidad y precio.
+ * @param {{ x: number, y: number }} pointer Posición del puntero (coordenadas de la ventana).
+ * @param {{ left: number, top: number, width: number, height: number }} plot Área de dibujo del gráfico en la ventana.
+ * @param {number[]} quantityDomain Rango del eje X [mín, máx].
+ * @param {number[]} priceDomain Rango del eje Y [mín, máx].
+ * @returns {{ quantity: number, price: number }} Punto en unidades del gráfico.
+ */
+export const toChartPoint = (pointer, plot, quantityDomain, priceDomain) => ({
+  quantity: quantityDomain[0] + ((pointer.x - plot.left) / plot.width) * (quantityDomain[1] - quantityDomain[0]),
+  price: priceDomain[1] - ((pointer.y - plot.top) / plot.height) * (priceDomain[1] - priceDomain[0]),
+});
+
+// Distancia de un punto al segmento ab (todo en píxeles)
+const distanceToSegment = (p, a, b) => {
+  const dx = b.x - a.x;
+  const dy = b.y - a.y;
+  const length = dx * dx + dy * dy;
+  const t = length === 0 ? 0 : Math.max(0, Math.min(1, ((p.x - a.x) * dx + (p.y - a.y) * dy) / length));
+  return Math.hypot(p.x - (a.x + t * dx), p.y - (a.y + t * dy));
+};
+
+/**
+ * Busca la serie del gráfico más cercana al puntero, midiendo en píxeles para que la distancia no dependa de las escalas.
+ * @param {Array<{ key: string, points: Array<{ quantity: number, price: number }> }>} series Series candidatas.
+ * @param {{ quantity: number, price: number }} point Punto del puntero en unidades del gráfico.
+ * @param {{ width: number, height: number }} plot Tamaño del área de dibujo.
+ * @param {number[]} quantityDomain Rango del eje X.
+ * @param {number[]} priceDomain Rango del eje Y.
+ * @param {number} maxDistance Distancia máxima en píxeles para tomar una curva.
+ * @returns {string | null} Clave de la serie más cercana, o null si ninguna está a menos de maxDistance.
+ */
+export const nearestSeries = (series, point, plot, quantityDomain, priceDomain, maxDistance) => {
+  const toPixels = ({ quantity, price }) => ({
+    x: (quantity / (quantityDomain[1] - quantityDomain[0])) * plot.width,
+    y: (price / (priceDomain[1] - priceDomain[0])) * plot.height,
+  });
+  const target = toPixels(point);
+  let closest = null;
+  let closestDistance = maxDistance;
+  series.forEach(({ key, points }) => {
+    for (let i = 1; i < points.length; i++) {
+      const distance = distanceToSegment(target, toPixels(points[i - 1]), toPixels(points[i]));
+      if (distance <= closestDistance) {
+        closest = key;
+        closestDistance = distance;
+      }
+    }
+  });
+  return closest;
+};
+
+/**
+ * Indica si una ecuación es una recta que se puede girar (ni horizontal ni vertical).
+ * @param {object} parsed Resultado de parseEquation.
+ * @returns {boolean} true si la pendiente dQ/dP es finita y distinta de 0.
+ */
+export const canRotate = (parsed) => !parsed.error && parsed.isLinear && parsed.horizontalPrice === null && parsed.slope !== 0;
+
+/**
+ * Gira una recta alrededor de un punto multiplicando su pendiente dQ/dP.
+ * @param {object} parsed Recta original (parseEquation).
+ * @param {{ quantity: number, price: number }} pivot Punto fijo del giro.
+ * @param {number} factor Factor de la pendiente (1 deja la recta igual; mayor a 1 la hace más plana en el gráfico).
+ * @returns {string} Ecuación de la recta girada en forma directa (ej. "-2P + 22").
+ */
+export const rotateEquation = (parsed, pivot, factor) => {
+  const slope = parsed.slope * factor;
+  return formatLinearExpression(slope, pivot.quantity - slope * pivot.price, 'P');
+};
+
+/**
+ * Factor de giro de una ecuación respecto de la recta original (1 si no es una recta comparable).
+ * @param {object} baseParsed Recta original (parseEquation).
+ * @param {string} equation Ecuación del escenario (vacía significa la original).
+ * @returns {number} Cociente entre las pendientes dQ/dP.
+ */
+export const rotationFactor = (baseParsed, equation) => {
+  if (!equation.trim() || !canRotate(baseParsed)) return 1;
+  const parsed = parseEquation(equation);
+  if (!canRotate(parsed)) return 1;
+  const factor = parsed.slope / baseParsed.slope;
+  return factor > 0 ? factor : 1;
+};
@@ -0,0 +1,54 @@
+import { describe, expect, it } from 'vitest';
+import { parseEquation } from './parser.js';
+import { canRotate, nearestSeries, rotateEquation, rotationFactor, snapTo, toChartPoint } from './manipulation.js';
+
+const plot = { left: 80, top: 10, width: 400, height: 200 };
+
+describe('snapTo', () => {
+  it('redondea al múltiplo más cercano sin ruido de punto flotante', () => {
+    expect(snapTo(3.6, 1)).toBe(4);
+    expect(snapTo(-2.4, 1)).toBe(-2);
+    expect(snapTo(0.7, 0.25)).toBe(0.75);
+    expect(snapTo(0.30000000000000004, 0.1)).toBe(0.3);
+  });
+});
+
+describe('toChartPoint', () => {
+  it('convierte píxeles a cantidad y precio (el precio crece hacia arriba)', () => {
+    expect(toChartPoint({ x: 80, y: 210 }, plot, [0, 20], [0, 10])).toEqual({ quantity: 0, price: 0 });
+    expect(toChartPoint({ x: 280, y: 60 }, plot, [0, 20], [0, 10])).toEqual({ quantity: 10, price: 7.5 });
+  });
+});
+
+describe('nearestSeries', () => {
+  const series = [
+    { key: 'demanda_original', points: [{ quantity: 0, price: 10 }, { quantity: 20, price: 0 }] },
+    { key: 'oferta_original', points: [{ quantity: 0, price: 0 }, { quantity: 20, price: 10 }] },
+  ];
+
+  it('elige la curva más cercana al puntero', () => {
+    expect(nearestSeries(series, { quantity: 4, price: 8 }, plot, [0, 20], [0, 10], 12)).toBe('demanda_original');
+    expect(nearestSeries(series, { quantity: 16, price: 8 }, plot, [0, 20], [0, 10], 12)).toBe('oferta_original');
+  });
+
+  it('no toma ninguna curva si el puntero está lejos', () => {
+    expect(nearestSeries(series, { quantity: 10, price: 9 }, plot, [0, 20], [0, 10], 12)).toBeNull();
+  });
+});
+
+describe('rotateEquation', () => {
+  it('multiplica la pendiente manteniendo el punto de giro', () => {
+    const demand = parseEquation('-P + 16');
+    const rotated = rotateEquation(demand, { quantity: 10, price: 6 }, 2);
+    expect(rotated).toBe('-2P + 22');
+    expect(rotationFactor(demand, rotated)).toBe(2);
+    expect(rotationFactor(demand, '')).toBe(1);
+  });
+
+  it('solo gira rectas con pendiente finita y distinta de 0', () => {
+    expect(canRotate(parseEquation('P + 4'))).toBe(true);
+    expect(canRotate(parseEquation('P = 5'))).toBe(false);
+    expect(canRotate(parseEquation('10'))).toBe(false);
+    expect(canRotate(parseEquation('100/P'))).toBe(false);
+  });
+});
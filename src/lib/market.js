@@ -0,0 +1,528 @@
+import { describeEquationForms, parseEquation } from './parser.js';
+import { aggregateCurves, buildCurve, curveChange, findRoots, linearRelation, participantBreakdown } from './curves.js';
+import { findEquilibria } from './equilibrium.js';
+import { computeWelfare, surplusAreas } from './welfare.js';
+import { analyzePriceControl, analyzeTax } from './policies.js';
+import { analyzeTrade } from './trade.js';
+import { arcElasticity, pointElasticity, unitElasticPoint } from './elasticity.js';
+import { solutionSteps } from './solution.js';
+import { simulateCobweb } from './cobweb.js';
+import { buildDeterminantModel } from './determinants.js';
+import { analyzeMonopoly, firmCurves, parseCostFunction } from './monopoly.js';
+
+// Cálculo completo del mercado sin interfaz: recibe los datos escritos por el usuario y devuelve números.
+// El formato de los resultados (toFixed, textos de la tabla) queda a cargo de quien los muestra.
+
+// Tolerancia para decidir si una fila de las tablas corresponde a un equilibrio
+const EPSILON = 0.01;
+
+// Convierte el desplazamiento escrito en un número (vacío o inválido equivale a 0)
+export const parseShift = (value) => {
+  const shift = parseFloat(value);
+  return isFinite(shift) ? shift : 0;
+};
+
+// Mensajes para las rectas que no tienen un equilibrio único
+const RELATION_MESSAGES = {
+  parallel: "las curvas de oferta y demanda son paralelas y nunca se cruzan, por lo que no hay equilibrio.",
+  coincident: "las curvas de oferta y demanda coinciden: todos sus puntos son de equilibrio y no hay un equilibrio único.",
+};
+
+// Color del escenario que resulta del cambio de los determinantes
+const DETERMINANT_SCENARIO_COLOR = '#F97316';
+
+// Texto de las curvas sumadas para comparar escenarios y armar la explicación
+const describeParticipants = (list) => `suma horizontal de ${list.map(({ name, equation }) => `${name}: ${equation}`).join('; ')}`;
+
+/**
+ * Calcula el mercado original (E0), cada escenario visible (E1, E2…) y las políticas sobre el último de ellos.
+ * @param {object} input Datos del mercado.
+ * @param {string} [input.demandEq] Ecuación de demanda (si no se suman curvas individuales).
+ * @param {string} [input.supplyEq] Ecuación de oferta.
+ * @param {boolean} [input.aggregate] Si es true, las curvas de mercado son la suma horizontal de consumers y firms.
+ * @param {Array<{ name: string, equation: string }>} [input.consumers] Demandas individuales.
+ * @param {Array<{ name: string, equation: string }>} [input.firms] Ofertas individuales.
+ * @param {Array<object>} [input.scenarios] Escenarios { id, name, color, visible, demandEq, supplyEq, demandShift, supplyShift }.
+ * @param {{ type: string, value: string | number }} [input.priceControl] Control de precios ('none', 'ceiling' o 'floor').
+ * @param {{ mode: string, kind: string, payer: string, amount: string | number }} [input.tax] Impuesto o subsidio ('none', 'tax' o 'subsidy').
+ * @param {{ worldPrice: string | number, policy: string, amount: string | number }} [input.trade] Comercio internacional: precio mundial
+ *   (vacío = economía cerrada) y política a la importación ('none', 'tariff' o 'quota').
+ * @param {{ market: string, initialPrice: string | number }} [input.cobweb] Estado del mercado y precio inicial del modelo de la telaraña.
+ * @param {Array<{ price: number, quantity: number }>} [input.observations] Datos observados que se dibujan sobre las curvas.
+ * @param {{ type: 'competition' | 'monopoly', cost: string }} [input.structure] Estructura de mercado; en monopolio, costo total de la empresa.
+ * @param {{ demand: object, supply: object } | null} [input.determinants] Curvas con determinantes (buildDeterminantModel):
+ *   si se indican, reemplazan a las ecuaciones y su cambio se agrega como primer escenario.
+ * @returns {object} error (texto vacío si no hay), curvas parseadas, estados con sus curvas y equilibrios,
+ *   resultados numéricos por estado (markets), políticas, comercio internacional, telaraña, límites de los ejes,
+ *   puntos de elasticidad unitaria, efectos de los determinantes y óptimo del monopolio.
+ */
+export const analyzeMarket = ({
+  demandEq = '',
+  supplyEq = '',
+  aggregate = false,
+  consumers = [],
+  firms = [],
+  scenarios = [],
+  priceControl = { type: 'none', value: '' },
+  tax = { mode: 'none', kind: 'specific', payer: 'sellers', amount: '' },
+  trade = { worldPrice: '', policy: 'none', amount: '' },
+  cobweb = { market: 'original', initialPrice: '' },
+  observations = [],
+  structure = { type: 'competition', cost: '' },
+  determinants = null,
+}) => {
+  // Con determinantes, las curvas originales y el escenario del cambio se derivan de sus parámetros
+  if (determinants) {
+    const model = buildDeterminantModel(determinants);
+    if (model.error) {
+      return {
+        error: `Error en los determinantes: ${model.error}`, parsedDemand: null, parsedSupply: null, equationForms: null, states: [], markets: [],
+        priceControl: null, tax: null, trade: null, cobweb: null, monopoly: null, bounds: null, domain: null, unitElasticPoints: [], determinants: null,
+      };
+    }
+    const changeScenario = {
+      id: 0,
+      name: 'Cambio en los determinantes',
+      color: DETERMINANT_SCENARIO_COLOR,
+      visible: true,
+      demandEq: '',
+      supplyEq: '',
+      demandShift: String(model.demandShift),
+      supplyShift: String(model.supplyShift),
+    };
+    const changed = model.effects.some(effect => effect.description !== null);
+    return {
+      ...analyzeMarket({
+        demandEq: model.demandEq,
+        supplyEq: model.supplyEq,
+        scenarios: changed ? [changeScenario, ...scenarios] : scenarios,
+        priceControl,
+        tax,
+        trade,
+        cobweb,
+        observations,
+        structure,
+      }),
+      determinants: model,
+    };
+  }
+
+  // Parsear ecuaciones (o sumar horizontalmente las curvas individuales)
+  const parsedDemand = aggregate ? aggregateCurves(consumers) : parseEquation(demandEq);
+  const parsedSupply = aggregate ? aggregateCurves(firms) : parseEquation(supplyEq);
+  const baseDemandEq = aggregate ? describeParticipants(consumers) : demandEq;
+  const baseSupplyEq = aggregate ? describeParticipants(firms) : supplyEq;
+
+  let error = '';
+  if (parsedDemand.error) {
+    error = aggregate ? `Error en las demandas individuales: ${parsedDemand.error}` : `Error en la ecuación de Demanda: ${parsedDemand.error}`;
+  } else if (parsedSupply.error) {
+    error = aggregate ? `Error en las ofertas individuales: ${parsedSupply.error}` : `Error en la ecuación de Oferta: ${parsedSupply.error}`;
+  }
+  if (error) {
+    return {
+      error, parsedDemand, parsedSupply, equationForms: null, states: [], markets: [],
+      priceControl: null, tax: null, trade: null, cobweb: null, monopoly: null, bounds: null, domain: null, unitElasticPoints: [], determinants: null,
+    };
+  }
+
+  // Estados del mercado: el original (E0) y cada escenario visible (E1, E2…) con sus propias curvas.
+  // La etiqueta sigue la posición en la lista para que ocultar un escenario no renombre a los demás
+  const states = [{
+    key: 'original',
+    label: 'E0',
+    name: 'Original',
+    demandColor: '#63C2FF',
+    supplyColor: '#D52331',
+    parsedDemand,
+    parsedSupply,
+    demandEq: baseDemandEq,
+    supplyEq: baseSupplyEq,
+    demandShift: 0,
+    supplyShift: 0,
+    ownEquations: false,
+  }];
+  scenarios.forEach((scenario, index) => {
+    if (!scenario.visible) return;
+    const name = scenario.name.trim() || `Escenario ${index + 1}`;
+    // Una ecuación vacía significa que el escenario usa la original
+    const scenarioDemand = scenario.demandEq.trim() ? parseEquation(scenario.demandEq) : parsedDemand;
+    const scenarioSupply = scenario.supplyEq.trim() ? parseEquation(scenario.supplyEq) : parsedSupply;
+    if (scenarioDemand.error || scenarioSupply.error) {
+      error = error || (scenarioDemand.error
+        ? `Error en la ecuación de Demanda de «${name}»: ${scenarioDemand.error}`
+        : `Error en la ecuación de Oferta de «${name}»: ${scenarioSupply.error}`);
+      return;
+    }
+    states.push({
+      key: `escenario_${scenario.id}`,
+      label: `E${index + 1}`,
+      name,
+      demandColor: scenario.color,
+      supplyColor: scenario.color,
+      parsedDemand: scenarioDemand,
+      parsedSupply: scenarioSupply,
+      demandEq: scenario.demandEq.trim() || baseDemandEq,
+      supplyEq: scenario.supplyEq.trim() || baseSupplyEq,
+      demandShift: parseShift(scenario.demandShift),
+      supplyShift: parseShift(scenario.supplyShift),
+      ownEquations: Boolean(scenario.demandEq.trim() || scenario.supplyEq.trim()),
+    });
+  });
+
+  // Cálculo numérico de los equilibrios (puede haber varios cruces)
+  states.forEach((state) => {
+    // Curvas con sus evaluaciones Q(P) y P(Q); el desplazamiento se suma a la cantidad
+    state.curves = {
+      demand: buildCurve(state.parsedDemand, state.demandShift),
+      supply: buildCurve(state.parsedSupply, state.supplyShift),
+    };
+    // Las rectas paralelas nunca se cruzan y las coincidentes se cruzan en todos sus puntos: no se buscan raíces
+    const relation = linearRelation(state.parsedDemand, state.parsedSupply, state.demandShift, state.supplyShift);
+    state.equilibria = relation ? [] : findEquilibria(state.curves.demand, state.curves.supply);
+    if (relation) {
+      error = error || (state.key === 'original'
+        ? `En el mercado original ${RELATION_MESSAGES[relation]}`
+        : `En «${state.name}» (${state.label}) ${RELATION_MESSAGES[relation]}`);
+    }
+  });
+  const allEquilibria = states.flatMap(state => state.equilibria);
+
+  // Mercado vigente para las políticas (el último escenario visible, o E0 si no hay)
+  const policyState = states[states.length - 1];
+  const policyDemand = policyState.curves.demand;
+  const policySupply = policyState.curves.supply;
+  const policyEquilibrium = policyState.equilibria[0];
+  const policyReference = policyState.label;
+
+  // Control de precios
+  const controlPrice = parseFloat(priceControl.value);
+  let priceControlResult = null;
+  if (priceControl.type !== 'none' && priceControl.value !== '') {
+    if (!isFinite(controlPrice) || controlPrice < 0) {
+      error = error || "El precio del control debe ser un número mayor o igual a 0.";
+    } else if (policyEquilibrium) {
+      priceControlResult = {
+        ...analyzePriceControl(policyDemand, policySupply, policyEquilibrium, priceControl.type, controlPrice),
+        reference: policyReference,
+        equilibriumPrice: policyEquilibrium.price,
+      };
+    }
+  }
+
+  // Impuesto o subsidio por unidad
+  const taxValue = parseFloat(tax.amount);
+  let taxResult = null;
+  if (tax.mode !== 'none' && tax.amount !== '') {
+    if (!isFinite(taxValue) || taxValue < 0) {
+      error = error || "El monto del impuesto o subsidio debe ser un número mayor o igual a 0.";
+    } else if (tax.kind === 'adValorem' && tax.mode === 'subsidy' && tax.payer !== 'sellers' && taxValue >= 100) {
+      error = error || "Un subsidio ad valorem debe ser menor al 100%.";
+    } else if (tax.kind === 'adValorem' && tax.mode === 'tax' && tax.payer === 'sellers' && taxValue >= 100) {
+      error = error || "Un impuesto ad valorem a los vendedores debe ser menor al 100% del precio que pagan los compradores.";
+    } else if (policyEquilibrium) {
+      const analysis = analyzeTax(policyDemand, policySupply, policyEquilibrium, { mode: tax.mode, kind: tax.kind, payer: tax.payer, amount: taxValue });
+      if (analysis) {
+        taxResult = {
+          ...analysis,
+          reference: policyReference,
+          equilibriumPrice: policyEquilibrium.price,
+          equilibriumQuantity: policyEquilibrium.quantity,
+        };
+      } else {
+        error = error || `No se encontró un equilibrio válido con el ${tax.mode === 'tax' ? 'impuesto' : 'subsidio'} indicado.`;
+      }
+    }
+  }
+
+  // Comercio internacional al precio mundial, sobre el mismo mercado que las demás políticas
+  const worldPrice = parseFloat(trade.worldPrice);
+  const tradeAmount = parseFloat(trade.amount);
+  // Sin monto, el arancel o la cuota aún no se aplican (igual que el impuesto)
+  const tradePolicy = trade.amount === '' ? 'none' : trade.policy;
+  let tradeResult = null;
+  if (trade.worldPrice !== '') {
+    if (!isFinite(worldPrice) || worldPrice < 0) {
+      error = error || "El precio mundial debe ser un número mayor o igual a 0.";
+    } else if (tradePolicy !== 'none' && (!isFinite(tradeAmount) || tradeAmount < 0)) {
+      error = error || (tradePolicy === 'tariff'
+        ? "El arancel debe ser un número mayor o igual a 0."
+        : "La cuota de importación debe ser una cantidad mayor o igual a 0.");
+    } else if (policyEquilibrium) {
+      tradeResult = {
+        ...analyzeTrade(policyDemand, policySupply, policyEquilibrium, { worldPrice, policy: tradePolicy, amount: tradePolicy === 'none' ? 0 : tradeAmount }),
+        reference: policyReference,
+      };
+    }
+  }
+
+  // Modelo de la telaraña sobre el estado elegido (E0 si el escenario ya no está visible), alrededor del
+  // equilibrio más cercano al precio inicial
+  const cobwebPrice = parseFloat(cobweb.initialPrice);
+  let cobwebResult = null;
+  if (cobweb.initialPrice !== '') {
+    const cobwebState = states.find(({ key }) => key === cobweb.market) || states[0];
+    if (!isFinite(cobwebPrice) || cobwebPrice < 0) {
+      error = error || "El precio inicial de la telaraña debe ser un número mayor o igual a 0.";
+    } else if (cobwebState.equilibria.length > 0) {
+      const equilibrium = cobwebState.equilibria.reduce((closest, candidate) => (
+        Math.abs(candidate.price - cobwebPrice) < Math.abs(closest.price - cobwebPrice) ? candidate : closest
+      ));
+      cobwebResult = {
+        ...simulateCobweb(cobwebState.curves.demand, cobwebState.curves.supply, equilibrium, cobwebPrice),
+        market: cobwebState.key,
+        reference: cobwebState.label,
+      };
+    }
+  }
+
+  // Monopolio: la demanda original es la que enfrenta la empresa; se compara con el equilibrio competitivo de E0
+  let monopolyResult = null;
+  if (structure.type === 'monopoly') {
+    const { cost, error: costError } = parseCostFunction(structure.cost);
+    if (costError) {
+      error = error || `Error en la función de costo: ${costError}`;
+    } else {
+      const analysis = analyzeMonopoly(states[0].curves.demand, cost);
+      if (analysis.error) {
+        error = error || analysis.error;
+      } else {
+        // Las curvas son funciones: quien muestre el resultado las muestrea y no las guarda
+        monopolyResult = { ...analysis, curves: firmCurves(states[0].curves.demand, cost), market: states[0].equilibria[0] || null };
+      }
+    }
+  }
+
+  if (error === '' && allEquilibria.length === 0) {
+    error = states.length > 1
+      ? "No se pudo encontrar un equilibrio válido para las ecuaciones dadas, incluso con los escenarios."
+      : "Las curvas no se cruzan con precio y cantidad no negativos, por lo que no hay un equilibrio válido.";
+  }
+
+  // Rango de los ejes (Cantidad en X, Precio en Y): equilibrios, cantidades con P = 0 y precios máximos de la demanda
+  let maxQuantity = 0;
+  let maxPrice = 0;
+  allEquilibria.forEach(({ price, quantity }) => {
+    maxQuantity = Math.max(maxQuantity, quantity);
+    maxPrice = Math.max(maxPrice, price);
+  });
+  states.forEach((state) => {
+    [state.curves.demand, state.curves.supply].forEach((curve) => {
+      const q0 = curve.quantityAt(0);
+      if (isFinite(q0) && q0 > 0) maxQuantity = Math.max(maxQuantity, q0);
+    });
+    // En forma inversa el desplazamiento horizontal no cambia el precio máximo: es P(0) de la ecuación escrita
+    const chokePrice = state.parsedDemand.form === 'inverse'
+      ? state.parsedDemand.evaluate(0)
+      : findRoots(state.curves.demand.quantityAt)[0];
+    if (chokePrice !== undefined && isFinite(chokePrice)) maxPrice = Math.max(maxPrice, chokePrice);
+  });
+  // El precio controlado y las cantidades a ese precio deben quedar a la vista
+  if (priceControlResult) {
+    maxPrice = Math.max(maxPrice, priceControlResult.price);
+    maxQuantity = Math.max(maxQuantity, priceControlResult.quantityDemanded, priceControlResult.quantitySupplied);
+  }
+  if (taxResult) {
+    maxPrice = Math.max(maxPrice, taxResult.buyerPrice, taxResult.sellerPrice);
+  }
+  // El precio mundial y las cantidades a ese precio (con un precio mundial muy bajo la demanda puede ser enorme)
+  if (tradeResult) {
+    maxPrice = Math.max(maxPrice, tradeResult.worldPrice);
+    maxQuantity = Math.max(maxQuantity, tradeResult.free.demanded, tradeResult.free.supplied);
+  }
+  if (monopolyResult) {
+    maxPrice = Math.max(maxPrice, monopolyResult.price);
+    if (monopolyResult.competitive) maxQuantity = Math.max(maxQuantity, monopolyResult.competitive.quantity);
+  }
+  // El precio inicial y el primer periodo de la telaraña; si diverge, el resto del recorrido se recorta
+  if (cobwebResult) {
+    maxPrice = Math.max(maxPrice, cobwebResult.initialPrice);
+    if (cobwebResult.periods.length > 0) maxQuantity = Math.max(maxQuantity, cobwebResult.periods[0].quantity);
+  }
+  // Los datos observados también deben quedar a la vista
+  observations.forEach(({ price, quantity }) => {
+    maxQuantity = Math.max(maxQuantity, quantity);
+    maxPrice = Math.max(maxPrice, price);
+  });
+  // Rango mínimo de cantidad
+  maxQuantity = Math.max(maxQuantity, 20);
+  // Redondear hacia arriba para que las marcas de los ejes sean legibles
+  const domain = {
+    quantity: [0, Math.ceil(Math.max(maxQuantity * 1.1, 20))],
+    price: [0, Math.ceil(Math.max(maxPrice * 1.2, 10))],
+  };
+
+  // Excedentes y elasticidades puntuales en el equilibrio principal de cada estado.
+  // La elasticidad arco y el cambio de excedentes se miden contra el estado visible anterior
+  const markets = states.map((state, index) => {
+    const point = state.equilibria[0] || null;
+    const previous = index > 0 ? states[index - 1] : null;
+    const previousPoint = previous ? previous.equilibria[0] || null : null;
+    // El movimiento entre dos equilibrios recorre la curva que no cambió
+    let arcCurve = null;
+    let changes = null;
+    let adjustment = null;
+    if (previous) {
+      const demandChanged = state.demandEq !== previous.demandEq || state.demandShift !== previous.demandShift;
+      const supplyChanged = state.supplyEq !== previous.supplyEq || state.supplyShift !== previous.supplyShift;
+      if (demandChanged && !supplyChanged) arcCurve = 'oferta';
+      if (!demandChanged && supplyChanged) arcCurve = 'demanda';
+      // Dirección de cada desplazamiento, medida al precio del equilibrio anterior (o del nuevo si no lo hay)
+      const referencePrice = previousPoint ? previousPoint.price : point ? point.price : null;
+      const direction = (changed, before, after, shiftDifference) => {
+        if (!changed) return 0;
+        if (referencePrice === null) return Math.sign(shiftDifference) || null;
+        return curveChange(before, after, referencePrice);
+      };
+      changes = {
+        demand: direction(demandChanged, previous.curves.demand, state.curves.demand, state.demandShift - previous.demandShift),
+        supply: direction(supplyChanged, previous.curves.supply, state.curves.supply, state.supplyShift - previous.supplyShift),
+      };
+      // Cantidades al precio anterior con las curvas nuevas: muestran la escasez o el excedente que mueve el precio
+      if (previousPoint) {
+        const quantityDemanded = state.curves.demand.quantityAt(previousPoint.price);
+        const quantitySupplied = state.curves.supply.quantityAt(previousPoint.price);
+        if (isFinite(quantityDemanded) && isFinite(quantitySupplied)) {
+          adjustment = { price: previousPoint.price, quantityDemanded, quantitySupplied };
+        }
+      }
+    }
+    return {
+      key: state.key,
+      label: state.label,
+      name: state.name,
+      color: state.demandColor,
+      demandEq: state.demandEq,
+      supplyEq: state.supplyEq,
+      demandShift: state.demandShift,
+      supplyShift: state.supplyShift,
+      equationForms: state.ownEquations
+        ? { demand: describeEquationForms(state.parsedDemand, 'd'), supply: describeEquationForms(state.parsedSupply, 's') }
+        : null,
+      equilibria: state.equilibria,
+      // Desarrollo algebraico con las mismas pendientes e interceptos que usa el cálculo
+      solution: solutionSteps(state.parsedDemand, state.parsedSupply, state.demandShift, state.supplyShift),
+      changes,
+      adjustment,
+      // Reparto de la cantidad de equilibrio entre participantes (solo si las curvas sumadas no se desplazaron)
+      breakdown: point && state.parsedDemand.participants && state.parsedSupply.participants && state.demandShift === 0 && state.supplyShift === 0
+        ? { consumers: participantBreakdown(state.parsedDemand.participants, point.price), firms: participantBreakdown(state.parsedSupply.participants, point.price) }
+        : null,
+      welfare: point && computeWelfare(state.curves.demand, state.curves.supply, point),
+      surplusAreas: point && surplusAreas(state.curves.demand, state.curves.supply, point, domain.price[1]),
+      elasticities: point && {
+        demand: pointElasticity(state.curves.demand, point.price, point.quantity),
+        supply: pointElasticity(state.curves.supply, point.price, point.quantity),
+      },
+      arc: point && previousPoint
+        ? { from: previous.label, value: arcElasticity(previousPoint, point), curve: arcCurve }
+        : null,
+    };
+  });
+
+  // Punto de elasticidad unitaria de las demandas lineales (solo si la demanda del escenario cambió)
+  const unitElasticPoints = [];
+  states.forEach((state, index) => {
+    if (!state.parsedDemand.isLinear) return;
+    if (index > 0 && state.demandEq === baseDemandEq && state.demandShift === 0) return;
+    const point = unitElasticPoint(state.parsedDemand.slope, state.parsedDemand.intercept + state.demandShift);
+    if (point) unitElasticPoints.push({ ...point, label: index === 0 ? '|ε| = 1' : `|ε| = 1 (${state.label})`, color: state.demandColor });
+  });
+
+  return {
+    error,
+    parsedDemand,
+    parsedSupply,
+    equationForms: { demand: describeEquationForms(parsedDemand, 'd'), supply: describeEquationForms(parsedSupply, 's') },
+    states,
+    markets,
+    priceControl: priceControlResult,
+    tax: taxResult,
+    trade: tradeResult,
+    cobweb: cobwebResult,
+    monopoly: monopolyResult,
+    bounds: { quantity: maxQuantity, price: maxPrice },
+    domain,
+    unitElasticPoints,
+    determinants: null,
+  };
+};
+
+/**
+ * Tabla de precios de cada curva para cantidades seleccionadas (enteros cada 5 unidades y las cantidades de equilibrio).
+ * @param {Array<object>} states Estados de analyzeMarket.
+ * @param {number} maxQuantity Cantidad máxima de la tabla.
+ * @returns {Array<object>} Filas con quantity, isEquilibrium, price_{demanda|oferta}_{estado} y
+ *   elasticity_{demanda|oferta}_original (null donde la curva no está definida).
+ */
+export const buildPriceTable = (states, maxQuantity) => {
+  const allEquilibria = states.flatMap(state => state.equilibria);
+  const step = maxQuantity / 50;
+  const quantities = new Set();
+  for (let i = 0; i <= 50; i++) {
+    const q = i * step;
+    if (q % 5 === 0 || Math.abs(q - Math.round(q)) < EPSILON * 10) {
+      quantities.add(Math.round(q)); // Redondear a entero para estas cantidades
+    }
+  }
+
+  // Las cantidades de equilibrio reemplazan a la fila entera equivalente para no duplicarla
+  allEquilibria.forEach(({ quantity }) => {
+    quantities.forEach(q => {
+      if (Math.abs(q - quantity) < EPSILON) quantities.delete(q);
+    });
+    quantities.add(quantity);
+  });
+
+  return Array.from(quantities).sort((a, b) => a - b).map(q => {
+    const row = { quantity: q, isEquilibrium: allEquilibria.some(({ quantity }) => Math.abs(q - quantity) < EPSILON) };
+    states.forEach((state) => {
+      [['demanda', state.curves.demand], ['oferta', state.curves.supply]].forEach(([side, curve]) => {
+        const price = curve.priceAt(q);
+        const defined = isFinite(price) && price >= 0;
+        row[`price_${side}_${state.key}`] = defined ? price : null;
+        // Elasticidad puntual a lo largo de las curvas originales
+        if (state.key === 'original') {
+          row[`elasticity_${side}_original`] = defined ? pointElasticity(curve, price, q) : null;
+        }
+      });
+    });
+    return row;
+  });
+};
+
+/**
+ * Tabla de agregación: cantidad de cada participante y totales a distintos precios del mercado original.
+ * @param {object} state Estado original de analyzeMarket (con curvas sumadas).
+ * @param {number} maxPrice Precio máximo de la tabla.
+ * @returns {{ consumers: string[], firms: string[], rows: Array<object> }} Nombres de los participantes y filas con
+ *   price, isEquilibrium, consumers, demand, firms y supply.
+ */
+export const buildAggregationTable = (state, maxPrice) => {
+  const priceStep = Math.max(1, Math.ceil(maxPrice / 20));
+  const isEquilibrium = (price) => state.equilibria.some(eq => Math.abs(eq.price - price) < EPSILON);
+  const prices = [];
+  for (let price = 0; price <= maxPrice; price += priceStep) {
+    if (!isEquilibrium(price)) prices.push(price);
+  }
+  state.equilibria.forEach(({ price }) => prices.push(price));
+  prices.sort((a, b) => a - b);
+
+  const sumQuantities = (breakdown) => breakdown.reduce((sum, { quantity }) => sum + quantity, 0);
+  return {
+    consumers: state.parsedDemand.participants.map(({ name }) => name),
+    firms: state.parsedSupply.participants.map(({ name }) => name),
+    rows: prices.map(price => {
+      const consumerQuantities = participantBreakdown(state.parsedDemand.participants, price);
+      const firmQuantities = participantBreakdown(state.parsedSupply.participants, price);
+      return {
+        price,
+        isEquilibrium: isEquilibrium(price),
+        consumers: consumerQuantities.map(({ quantity }) => quantity),
+        demand: sumQuantities(consumerQuantities),
+        firms: firmQuantities.map(({ quantity }) => quantity),
+        supply: sumQuantities(firmQuantities),
+      };
+    }),
+  };
+};
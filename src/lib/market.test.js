@@ -0,0 +1,181 @@
+import { describe, expect, it } from 'vitest';
+import { analyzeMarket, buildAggregationTable, buildPriceTable, parseShift } from './market.js';
+
+// Equilibrio principal de cada estado del mercado
+const primaryPoints = (result) => result.states.map((state) => state.equilibria[0]);
+
+describe('analyzeMarket', () => {
+  it('encuentra el equilibrio, los excedentes y las elasticidades de dos rectas', () => {
+    const result = analyzeMarket({ demandEq: '-P + 16', supplyEq: 'P + 4' });
+    expect(result.error).toBe('');
+    const [market] = result.markets;
+    expect(market.equilibria).toHaveLength(1);
+    expect(market.equilibria[0].price).toBeCloseTo(6);
+    expect(market.equilibria[0].quantity).toBeCloseTo(10);
+    expect(market.welfare.consumer).toBeCloseTo(50);
+    expect(market.welfare.producer).toBeCloseTo(42);
+    expect(market.elasticities.demand).toBeCloseTo(-0.6);
+    expect(result.domain).toEqual({ quantity: [0, 22], price: [0, 20] });
+  });
+
+  it('encadena los escenarios visibles y mide la elasticidad arco contra el anterior', () => {
+    const result = analyzeMarket({
+      demandEq: '-P + 16',
+      supplyEq: 'P + 4',
+      scenarios: [
+        { id: 1, name: 'Sube la demanda', color: '#000', visible: true, demandEq: '', supplyEq: '', demandShift: '4', supplyShift: '0' },
+        { id: 2, name: 'Oculto', color: '#000', visible: false, demandEq: '', supplyEq: '', demandShift: '100', supplyShift: '0' },
+        { id: 3, name: 'Baja la oferta', color: '#000', visible: true, demandEq: '', supplyEq: '', demandShift: '4', supplyShift: '-6' },
+      ],
+    });
+    expect(result.markets.map((market) => market.label)).toEqual(['E0', 'E1', 'E3']);
+    const points = primaryPoints(result);
+    expect(points[1].price).toBeCloseTo(8);
+    expect(points[1].quantity).toBeCloseTo(12);
+    expect(points[2].price).toBeCloseTo(11);
+    expect(points[2].quantity).toBeCloseTo(9);
+    expect(result.markets[1].changes).toEqual({ demand: 1, supply: 0 });
+    expect(result.markets[1].arc).toMatchObject({ from: 'E0', curve: 'oferta' });
+    expect(result.markets[1].arc.value).toBeCloseTo(0.64, 2);
+  });
+
+  it('informa que las rectas paralelas no se cruzan', () => {
+    const result = analyzeMarket({ demandEq: 'P + 3', supplyEq: 'P + 4' });
+    expect(result.states[0].equilibria).toEqual([]);
+    expect(result.error).toContain('paralelas');
+  });
+
+  it('informa que las rectas coincidentes no tienen un equilibrio único', () => {
+    const result = analyzeMarket({ demandEq: '16 - P', supplyEq: '2*(8 - P/2)' });
+    expect(result.states[0].equilibria).toEqual([]);
+    expect(result.error).toContain('coinciden');
+  });
+
+  it('descarta los cruces con precio negativo', () => {
+    const result = analyzeMarket({ demandEq: '3 - P', supplyEq: '5 + P' });
+    expect(result.states[0].equilibria).toEqual([]);
+    expect(result.error).toBe('Las curvas no se cruzan con precio y cantidad no negativos, por lo que no hay un equilibrio válido.');
+  });
+
+  it('resuelve curvas con pendiente cero: vertical y horizontal', () => {
+    const [vertical] = primaryPoints(analyzeMarket({ demandEq: 'Q = 10', supplyEq: 'P + 4' }));
+    expect(vertical.price).toBeCloseTo(6);
+    expect(vertical.quantity).toBeCloseTo(10);
+    const [horizontal] = primaryPoints(analyzeMarket({ demandEq: '16 - P', supplyEq: 'P = 5' }));
+    expect(horizontal.price).toBeCloseTo(5);
+    expect(horizontal.quantity).toBeCloseTo(11);
+  });
+
+  it('devuelve el error de parseo sin calcular estados', () => {
+    const result = analyzeMarket({ demandEq: '16 - P', supplyEq: 'P +* 4' });
+    expect(result.error).toContain('Error en la ecuación de Oferta');
+    expect(result.states).toEqual([]);
+    expect(result.markets).toEqual([]);
+  });
+
+  it('señala el escenario con una ecuación mal escrita y conserva los demás', () => {
+    const result = analyzeMarket({
+      demandEq: '16 - P',
+      supplyEq: 'P + 4',
+      scenarios: [{ id: 1, name: 'Roto', color: '#000', visible: true, demandEq: '16 -', supplyEq: '', demandShift: '0', supplyShift: '0' }],
+    });
+    expect(result.error).toContain('«Roto»');
+    expect(result.states).toHaveLength(1);
+  });
+
+  it('suma horizontalmente las curvas individuales', () => {
+    const result = analyzeMarket({
+      aggregate: true,
+      consumers: [{ name: 'Consumidor 1', equation: '10 - P' }, { name: 'Consumidor 2', equation: '6 - P' }],
+      firms: [{ name: 'Empresa 1', equation: 'P - 2' }, { name: 'Empresa 2', equation: 'P - 4' }],
+    });
+    const [market] = result.markets;
+    expect(market.equilibria[0].price).toBeCloseTo(5.5);
+    expect(market.equilibria[0].quantity).toBeCloseTo(5);
+    expect(market.breakdown.consumers.map(({ quantity }) => quantity)).toEqual([expect.closeTo(4.5), expect.closeTo(0.5)]);
+    expect(market.welfare.consumer).toBeCloseTo(10.25);
+  });
+
+  it('suma participantes no lineales escritos como P(Q) igual que escritos como Q(P)', () => {
+    const inverse = analyzeMarket({
+      aggregate: true,
+      consumers: [{ name: 'A', equation: 'P = 16 - Q^2' }, { name: 'B', equation: 'P = 20 - 2Q^2' }],
+      firms: [{ name: 'F', equation: 'P = Q^2 + 1' }],
+    });
+    const direct = analyzeMarket({
+      aggregate: true,
+      consumers: [{ name: 'A', equation: 'sqrt(16 - P)' }, { name: 'B', equation: 'sqrt((20 - P)/2)' }],
+      firms: [{ name: 'F', equation: 'sqrt(P - 1)' }],
+    });
+    expect(inverse.error).toBe('');
+    expect(inverse.states[0].equilibria[0].price).toBeCloseTo(direct.states[0].equilibria[0].price, 6);
+    expect(inverse.states[0].equilibria[0].quantity).toBeCloseTo(direct.states[0].equilibria[0].quantity, 6);
+    // Las cantidades individuales suman la cantidad de mercado
+    const bought = inverse.markets[0].breakdown.consumers.reduce((sum, { quantity }) => sum + quantity, 0);
+    expect(bought).toBeCloseTo(inverse.states[0].equilibria[0].quantity, 6);
+  });
+
+  it('analiza el impuesto y el control de precios sobre el último estado', () => {
+    const taxed = analyzeMarket({ demandEq: '16 - P', supplyEq: 'P + 4', tax: { mode: 'tax', kind: 'specific', payer: 'sellers', amount: '2' } });
+    expect(taxed.tax).toMatchObject({ buyerPrice: 7, sellerPrice: 5, quantity: 9, fiscalAmount: 18, reference: 'E0' });
+    expect(taxed.tax.deadweightLoss).toBeCloseTo(1);
+
+    // Ad valorem: a los vendedores se cobra sobre el precio de compra (Pv = Pc · 0.5) y a los compradores
+    // sobre el precio de venta (Pc = Pv · 1.5), así que la cuña y la cantidad cambian según quién paga
+    const adValorem = (payer) => analyzeMarket({ demandEq: '16 - P', supplyEq: 'P + 4', tax: { mode: 'tax', kind: 'adValorem', payer, amount: '50' } }).tax;
+    const sellers = adValorem('sellers');
+    expect(sellers.buyerPrice).toBeCloseTo(8);
+    expect(sellers.sellerPrice).toBeCloseTo(4);
+    expect(sellers.quantity).toBeCloseTo(8);
+    expect(sellers.fiscalAmount).toBeCloseTo(32);
+    const buyers = adValorem('buyers');
+    expect(buyers.buyerPrice).toBeCloseTo(7.2);
+    expect(buyers.sellerPrice).toBeCloseTo(4.8);
+    expect(buyers.quantity).toBeCloseTo(8.8);
+    expect(buyers.fiscalAmount).toBeCloseTo(21.12);
+    expect(analyzeMarket({ demandEq: '16 - P', supplyEq: 'P + 4', tax: { mode: 'tax', kind: 'adValorem', payer: 'sellers', amount: '100' } }).error)
+      .toContain('menor al 100%');
+
+    const controlled = analyzeMarket({ demandEq: '16 - P', supplyEq: 'P + 4', priceControl: { type: 'ceiling', value: '4' } });
+    expect(controlled.priceControl).toMatchObject({ binding: true, gapType: 'escasez', gap: 4, tradedQuantity: 8 });
+    expect(controlled.priceControl.deadweightLoss).toBeCloseTo(4);
+
+    expect(analyzeMarket({ demandEq: '16 - P', supplyEq: 'P + 4', priceControl: { type: 'floor', value: '-1' } }).error).toContain('mayor o igual a 0');
+  });
+});
+
+describe('buildPriceTable', () => {
+  it('devuelve precios numéricos y marca la fila de equilibrio', () => {
+    const { states, bounds } = analyzeMarket({ demandEq: '16 - P', supplyEq: 'P + 4' });
+    const rows = buildPriceTable(states, bounds.quantity);
+    const equilibrium = rows.find((row) => row.isEquilibrium);
+    expect(equilibrium.quantity).toBeCloseTo(10);
+    expect(equilibrium.price_demanda_original).toBeCloseTo(6);
+    expect(equilibrium.price_oferta_original).toBeCloseTo(6);
+    // Por debajo de Q = 4 la oferta pediría un precio negativo
+    expect(rows.find((row) => row.quantity === 0).price_oferta_original).toBeNull();
+    expect(rows.filter((row) => Math.abs(row.quantity - 10) < 0.5)).toHaveLength(1);
+  });
+});
+
+describe('buildAggregationTable', () => {
+  it('suma la cantidad de cada participante a cada precio', () => {
+    const { states, domain } = analyzeMarket({
+      aggregate: true,
+      consumers: [{ name: 'A', equation: '10 - P' }, { name: 'B', equation: '6 - P' }],
+      firms: [{ name: 'F', equation: 'P - 2' }],
+    });
+    const table = buildAggregationTable(states[0], domain.price[1]);
+    expect(table.consumers).toEqual(['A', 'B']);
+    const row = table.rows.find((candidate) => candidate.price === 8);
+    expect(row).toMatchObject({ consumers: [2, 0], demand: 2, firms: [6], supply: 6, isEquilibrium: false });
+  });
+});
+
+describe('parseShift', () => {
+  it('trata los desplazamientos vacíos o inválidos como 0', () => {
+    expect(parseShift('4.5')).toBe(4.5);
+    expect(parseShift('')).toBe(0);
+    expect(parseShift('abc')).toBe(0);
+  });
+});
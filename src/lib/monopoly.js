@@ -0,0 +1,104 @@
+import { findRoots, invertFunction } from './curves.js';
+import { compileExpression, parseExpression } from './parser.js';
+import { integrate } from './welfare.js';
+
+// Monopolio: la demanda de mercado es la demanda inversa P(Q) que enfrenta la única empresa, que elige la cantidad
+// donde el ingreso marginal iguala al costo marginal. Se compara con el resultado competitivo (P = CMg).
+
+const COST_LABEL = /^(ct|c|tc|cost[oe]?)(\(q\))?$/; // Etiquetas admitidas a la izquierda del costo (CT =, C(Q) =…)
+
+/**
+ * Lee una función de costo total en Q (ej. "CT = 10 + 2Q + 0.5Q^2").
+ * @param {string} text Función escrita, con o sin etiqueta.
+ * @returns {{ cost: ((q: number) => number) | null, expression: string, error: string }} Costo total C(Q) y error.
+ */
+export const parseCostFunction = (text) => {
+  const src = text.replace(/\s/g, '').toLowerCase();
+  const sides = src.split('=');
+  if (sides.length > 2 || (sides.length === 2 && !COST_LABEL.test(sides[0]))) {
+    return { cost: null, expression: src, error: "Escribe el costo total como una expresión en Q (ej. 'CT = 10 + 2Q + 0.5Q^2')." };
+  }
+  const expression = sides[sides.length - 1];
+  if (expression === '') return { cost: null, expression, error: 'Falta la función de costo total.' };
+  try {
+    const cost = compileExpression(parseExpression(expression, 'q'));
+    if (!isFinite(cost(1))) return { cost: null, expression, error: 'La función de costo no da un valor finito en Q = 1.' };
+    return { cost, expression, error: '' };
+  } catch (e) {
+    return { cost: null, expression, error: e.message };
+  }
+};
+
+// Derivada numérica por diferencias centrales (hacia adelante en Q = 0)
+const derivative = (fn, x) => {
+  const h = 1e-4 * Math.max(1, Math.abs(x));
+  return x - h < 0 ? (fn(x + h) - fn(x)) / h : (fn(x + h) - fn(x - h)) / (2 * h);
+};
+
+/**
+ * Curvas de ingreso y costo de la empresa a partir de la demanda y del costo total.
+ * @param {object} demand Curva de demanda del mercado (buildCurve).
+ * @param {(q: number) => number} cost Costo total C(Q).
+ * @returns {{ price: (q: number) => number, marginalRevenue: (q: number) => number, marginalCost: (q: number) => number,
+ *   averageCost: (q: number) => number, averageVariableCost: (q: number) => number }} Funciones de Q.
+ */
+export const firmCurves = (demand, cost) => {
+  // Una demanda escrita como Q(P) se invierte una sola vez: la búsqueda del óptimo evalúa P(Q) miles de veces
+  const price = demand.form === 'direct' ? invertFunction(demand.quantityAt) : demand.priceAt;
+  const revenue = (q) => price(q) * q;
+  return {
+    price,
+    marginalRevenue: (q) => derivative(revenue, q),
+    marginalCost: (q) => derivative(cost, q),
+    averageCost: (q) => (q > 0 ? cost(q) / q : NaN),
+    averageVariableCost: (q) => (q > 0 ? (cost(q) - cost(0)) / q : NaN),
+  };
+};
+
+/**
+ * Calcula el óptimo del monopolista (IMg = CMg), su beneficio y la pérdida de eficiencia frente al resultado competitivo.
+ * @param {object} demand Curva de demanda del mercado (buildCurve).
+ * @param {(q: number) => number} cost Costo total C(Q).
+ * @returns {{ error: string, quantity: number, price: number, marginalCost: number, revenue: number, totalCost: number,
+ *   profit: number, averageCost: number, consumerSurplus: number, shutdown: boolean,
+ *   competitive: { quantity: number, price: number } | null, deadweightLoss: number | null }}
+ *   Óptimo del monopolio, resultado con P = CMg y la pérdida de eficiencia entre ambos.
+ */
+export const analyzeMonopoly = (demand, cost) => {
+  const curves = firmCurves(demand, cost);
+  const empty = {
+    quantity: NaN, price: NaN, marginalCost: NaN, revenue: NaN, totalCost: NaN, profit: NaN, averageCost: NaN,
+    consumerSurplus: NaN, shutdown: false, competitive: null, deadweightLoss: null,
+  };
+  // Cantidades candidatas: donde IMg − CMg cambia de positivo a negativo (condición de segundo orden)
+  const gap = (q) => curves.marginalRevenue(q) - curves.marginalCost(q);
+  const candidates = findRoots(gap).filter(q => q > 0 && isFinite(curves.price(q)) && curves.price(q) >= 0 && gap(q * 0.99) > gap(q * 1.01));
+  if (candidates.length === 0) {
+    return { ...empty, error: 'No hay una cantidad positiva en la que el ingreso marginal iguale al costo marginal con precio no negativo.' };
+  }
+  const profitAt = (q) => curves.price(q) * q - cost(q);
+  const quantity = candidates.reduce((best, q) => (profitAt(q) > profitAt(best) ? q : best), candidates[0]);
+  const price = curves.price(quantity);
+  const totalCost = cost(quantity);
+
+  // Resultado competitivo: la cantidad donde el precio de demanda iguala al costo marginal
+  const competitiveQuantity = findRoots((q) => curves.price(q) - curves.marginalCost(q)).find(q => q > 0 && isFinite(curves.price(q)));
+  const competitive = competitiveQuantity === undefined ? null : { quantity: competitiveQuantity, price: curves.price(competitiveQuantity) };
+
+  return {
+    error: '',
+    quantity,
+    price,
+    marginalCost: curves.marginalCost(quantity),
+    revenue: price * quantity,
+    totalCost,
+    profit: price * quantity - totalCost,
+    averageCost: curves.averageCost(quantity),
+    consumerSurplus: integrate(curves.price, 0, quantity, 200) - price * quantity,
+    // Si el precio no cubre el costo variable medio, cerrar (perder solo el costo fijo) es mejor que producir
+    shutdown: price < curves.averageVariableCost(quantity),
+    competitive,
+    // Área entre la demanda y el costo marginal desde la cantidad del monopolio hasta la competitiva
+    deadweightLoss: competitive ? integrate((q) => curves.price(q) - curves.marginalCost(q), quantity, competitive.quantity, 200) : null,
+  };
+};
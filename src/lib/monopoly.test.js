@@ -0,0 +1,91 @@
+import { describe, expect, it } from 'vitest';
+import { buildCurve } from './curves.js';
+import { analyzeMarket } from './market.js';
+import { analyzeMonopoly, firmCurves, parseCostFunction } from './monopoly.js';
+import { parseEquation } from './parser.js';
+
+const demandCurve = (eq) => buildCurve(parseEquation(eq), 0);
+
+describe('parseCostFunction', () => {
+  it('acepta el costo con o sin etiqueta', () => {
+    expect(parseCostFunction('CT = 10 + 2Q + 0.5Q^2').cost(4)).toBeCloseTo(26);
+    expect(parseCostFunction('C(Q) = 3q').cost(2)).toBeCloseTo(6);
+    expect(parseCostFunction('5 + Q').error).toBe('');
+  });
+
+  it('rechaza etiquetas desconocidas y expresiones vacías o mal escritas', () => {
+    expect(parseCostFunction('P = 10 + Q').error).toContain('costo total');
+    expect(parseCostFunction('CT = ').error).toBe('Falta la función de costo total.');
+    expect(parseCostFunction('CT = 10 + Q^').error).not.toBe('');
+  });
+});
+
+describe('analyzeMonopoly', () => {
+  const { cost } = parseCostFunction('CT = 10 + 2Q + 0.5Q^2');
+
+  it('elige la cantidad donde IMg = CMg y mide la pérdida de eficiencia', () => {
+    // P = 16 - Q: IMg = 16 - 2Q = 2 + Q = CMg → Q = 14/3
+    const result = analyzeMonopoly(demandCurve('-P + 16'), cost);
+    expect(result.error).toBe('');
+    expect(result.quantity).toBeCloseTo(14 / 3, 3);
+    expect(result.price).toBeCloseTo(34 / 3, 3);
+    expect(result.marginalCost).toBeCloseTo(20 / 3, 3);
+    expect(result.profit).toBeCloseTo(68 / 3, 2);
+    expect(result.consumerSurplus).toBeCloseTo((14 / 3) ** 2 / 2, 2);
+    expect(result.shutdown).toBe(false);
+    // Competencia: 16 - Q = 2 + Q → Q = 7, P = 9; la pérdida es el triángulo entre ambas cantidades
+    expect(result.competitive.quantity).toBeCloseTo(7, 3);
+    expect(result.competitive.price).toBeCloseTo(9, 3);
+    expect(result.deadweightLoss).toBeCloseTo(((34 / 3 - 20 / 3) * (7 - 14 / 3)) / 2, 2);
+  });
+
+  it('deriva IMg, CMg y CTMe numéricamente', () => {
+    const curves = firmCurves(demandCurve('-P + 16'), cost);
+    expect(curves.marginalRevenue(3)).toBeCloseTo(10, 3);
+    expect(curves.marginalCost(3)).toBeCloseTo(5, 3);
+    expect(curves.averageCost(2)).toBeCloseTo(8, 6);
+    expect(curves.averageVariableCost(2)).toBeCloseTo(3, 6);
+  });
+
+  it('invierte una demanda no lineal escrita como Q(P) igual que la misma demanda escrita como P(Q)', () => {
+    const direct = analyzeMonopoly(demandCurve('100 - P^2'), cost);
+    const inverse = analyzeMonopoly(demandCurve('P = sqrt(100 - Q)'), cost);
+    expect(direct.error).toBe('');
+    expect(direct.quantity).toBeCloseTo(inverse.quantity, 6);
+    expect(direct.price).toBeCloseTo(inverse.price, 6);
+    expect(direct.competitive.quantity).toBeCloseTo(inverse.competitive.quantity, 6);
+    expect(direct.deadweightLoss).toBeCloseTo(inverse.deadweightLoss, 6);
+    // Más allá de la cantidad máxima (Q(0) = 100) la demanda no tiene precio
+    expect(firmCurves(demandCurve('100 - P^2'), cost).price(120)).toBeNaN();
+  });
+
+  it('informa cuando el ingreso marginal nunca iguala al costo marginal', () => {
+    // Demanda de elasticidad unitaria: el ingreso total es constante y el IMg es cero
+    expect(analyzeMonopoly(demandCurve('100/P'), cost).error).toContain('ingreso marginal');
+  });
+});
+
+describe('analyzeMarket con monopolio', () => {
+  it('compara el monopolio con el equilibrio competitivo de la misma demanda', () => {
+    const result = analyzeMarket({
+      demandEq: '-P + 16',
+      supplyEq: 'P + 4',
+      structure: { type: 'monopoly', cost: 'CT = 10 + 2Q + 0.5Q^2' },
+    });
+    expect(result.error).toBe('');
+    expect(result.monopoly.quantity).toBeCloseTo(14 / 3, 3);
+    expect(result.monopoly.market).toMatchObject({ price: 6, quantity: 10 });
+    expect(result.monopoly.curves.marginalRevenue(0)).toBeCloseTo(16, 3);
+    expect(result.domain.price[1]).toBeGreaterThan(result.monopoly.price);
+  });
+
+  it('informa los errores de la función de costo', () => {
+    const result = analyzeMarket({ demandEq: '-P + 16', supplyEq: 'P + 4', structure: { type: 'monopoly', cost: 'CT = ' } });
+    expect(result.error).toBe('Error en la función de costo: Falta la función de costo total.');
+    expect(result.monopoly).toBeNull();
+  });
+
+  it('no calcula el monopolio en competencia perfecta', () => {
+    expect(analyzeMarket({ demandEq: '-P + 16', supplyEq: 'P + 4' }).monopoly).toBeNull();
+  });
+});
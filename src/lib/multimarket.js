@@ -0,0 +1,195 @@
+import { formatCoefficient } from './format.js';
+
+// Equilibrio simultáneo de varios mercados relacionados (ej. café y té): la demanda y la oferta de cada bien
+// pueden depender de los precios de los demás, así que todos los precios se obtienen resolviendo un sistema lineal.
+
+export const MAX_GOODS = 4; // Mercados que se pueden resolver a la vez
+const PIVOT_TOLERANCE = 1e-10; // Debajo de este pivote el sistema se considera singular
+const SYSTEM_LABEL = /^q[ds]?[_\p{L}\d]*$/iu; // Etiquetas admitidas a la izquierda (Q =, Qd =, QdA =, Qs_té =…)
+
+// Error de una ecuación mal escrita
+class SystemEquationError extends Error {}
+
+/**
+ * Lee una ecuación lineal en los precios de los bienes (ej. "Qd = 40 - 4P1 + 2P2").
+ * P sin número se refiere al precio del propio bien.
+ * @param {string} text Ecuación escrita (con o sin "Qd =" / "Qs =", que pueden llevar el nombre del mercado: "QdA =", "Qd_café =").
+ * @param {number} goodIndex Posición del bien al que pertenece la ecuación (desde 0).
+ * @param {number} goodsCount Número de bienes del sistema.
+ * @returns {{ constant: number, coefficients: number[], error: string }} Constante y coeficiente de cada precio.
+ */
+export const parseSystemEquation = (text, goodIndex, goodsCount) => {
+  const coefficients = new Array(goodsCount).fill(0);
+  let constant = 0;
+  const sides = text.split('=');
+  if (sides.length > 2 || (sides.length === 2 && !SYSTEM_LABEL.test(sides[0].replace(/\s+/g, '')))) {
+    return { constant, coefficients, error: `La etiqueta de «${text.trim()}» no es válida: escribe Qd = … o Qs = …, si quieres con el nombre del mercado (ej. QdA = … o Qd_café = …).` };
+  }
+  const expression = sides[sides.length - 1].replace(/\s+/g, '').replace(/,/g, '.');
+  if (expression === '') return { constant, coefficients, error: 'La ecuación está vacía.' };
+  const terms = expression.match(/[+-]?[^+-]+/g);
+  if (!terms || terms.join('') !== expression) return { constant, coefficients, error: `No se entiende la ecuación «${text.trim()}».` };
+  try {
+    terms.forEach((term) => {
+      const match = term.match(/^([+-]?)(\d*\.?\d*)\*?(?:P_?(\d*))?$/i);
+      if (!match || (match[2] === '' && match[3] === undefined)) throw new SystemEquationError(`El término «${term}» no es un número ni un número por un precio (ej. 2P1).`);
+      const sign = match[1] === '-' ? -1 : 1;
+      if (match[3] === undefined) {
+        constant += sign * Number(match[2]);
+        return;
+      }
+      const index = match[3] === '' ? goodIndex : Number(match[3]) - 1;
+      if (index < 0 || index >= goodsCount) throw new SystemEquationError(`P${match[3]} no corresponde a ningún bien (hay ${goodsCount}).`);
+      coefficients[index] += sign * (match[2] === '' ? 1 : Number(match[2]));
+    });
+  } catch (e) {
+    if (!(e instanceof SystemEquationError)) throw e;
+    return { constant: 0, coefficients: new Array(goodsCount).fill(0), error: e.message };
+  }
+  if ([constant, ...coefficients].some(value => !isFinite(value))) return { constant, coefficients, error: `No se entiende la ecuación «${text.trim()}».` };
+  return { constant, coefficients, error: '' };
+};
+
+/**
+ * Resuelve A·x = b por eliminación de Gauss con pivoteo parcial.
+ * @param {number[][]} matrix Matriz cuadrada A.
+ * @param {number[]} vector Vector b.
+ * @returns {number[] | null} Solución x, o null si el sistema es singular.
+ */
+export const solveLinearSystem = (matrix, vector) => {
+  const n = vector.length;
+  const rows = matrix.map((row, i) => [...row, vector[i]]);
+  for (let column = 0; column < n; column++) {
+    let pivot = column;
+    for (let row = column + 1; row < n; row++) {
+      if (Math.abs(rows[row][column]) > Math.abs(rows[pivot][column])) pivot = row;
+    }
+    if (Math.abs(rows[pivot][column]) < PIVOT_TOLERANCE) return null;
+    [rows[column], rows[pivot]] = [rows[pivot], rows[column]];
+    for (let row = column + 1; row < n; row++) {
+      const factor = rows[row][column] / rows[column][column];
+      for (let k = column; k <= n; k++) rows[row][k] -= factor * rows[column][k];
+    }
+  }
+  const solution = new Array(n).fill(0);
+  for (let row = n - 1; row >= 0; row--) {
+    let sum = rows[row][n];
+    for (let k = row + 1; k < n; k++) sum -= rows[row][k] * solution[k];
+    solution[row] = sum / rows[row][row];
+  }
+  return solution;
+};
+
+// Cantidad de una curva lineal a los precios dados, más su desplazamiento
+const evaluate = (curve, prices, shift = 0) => curve.constant + shift + curve.coefficients.reduce((sum, coefficient, j) => sum + coefficient * prices[j], 0);
+
+// Resuelve Qd_i(P) + desplazamiento = Qs_i(P) + desplazamiento para todos los bienes
+const solveMarkets = (curves, shifts) => {
+  // Σ_j (d_ij − s_ij)·P_j = (s_i0 + shiftS_i) − (d_i0 + shiftD_i)
+  const matrix = curves.map(({ demand, supply }) => demand.coefficients.map((coefficient, j) => coefficient - supply.coefficients[j]));
+  const vector = curves.map(({ demand, supply }, i) => supply.constant + shifts[i].supply - demand.constant - shifts[i].demand);
+  const prices = solveLinearSystem(matrix, vector);
+  if (!prices) return null;
+  return prices.map((price, i) => ({ price, quantity: evaluate(curves[i].demand, prices, shifts[i].demand) }));
+};
+
+// Nombre de un bien en los mensajes
+const goodName = (good, index) => good.name.trim() || `Bien ${index + 1}`;
+
+/**
+ * Calcula el equilibrio simultáneo de todos los mercados y, si hay un choque, cómo se propaga a los demás.
+ * @param {Array<{ name: string, demandEq: string, supplyEq: string }>} goods Bienes con sus ecuaciones en P1, P2…
+ * @param {{ good: number, side: 'demand' | 'supply', amount: string | number } | null} shock Desplazamiento de una curva
+ *   (en unidades de cantidad a cada precio) en el mercado indicado por su posición.
+ * @returns {{ error: string, curves: Array<{ demand: object, supply: object }>, before: Array<{ price: number, quantity: number }> | null,
+ *   after: Array<{ price: number, quantity: number }> | null, shifts: Array<{ demand: number, supply: number }> }}
+ *   Curvas leídas, equilibrio antes y después del choque, y desplazamiento aplicado a cada mercado.
+ */
+export const analyzeMultiMarket = (goods, shock = null) => {
+  const result = { error: '', curves: [], before: null, after: null, shifts: [] };
+  if (goods.length < 2) return { ...result, error: 'Se necesitan al menos dos mercados.' };
+  for (let i = 0; i < goods.length; i++) {
+    const demand = parseSystemEquation(goods[i].demandEq, i, goods.length);
+    const supply = parseSystemEquation(goods[i].supplyEq, i, goods.length);
+    if (demand.error || supply.error) {
+      return { ...result, error: `Error en la ${demand.error ? 'demanda' : 'oferta'} de «${goodName(goods[i], i)}»: ${demand.error || supply.error}` };
+    }
+    result.curves.push({ demand, supply });
+  }
+
+  const noShift = goods.map(() => ({ demand: 0, supply: 0 }));
+  result.before = solveMarkets(result.curves, noShift);
+  if (!result.before) {
+    return { ...result, error: 'El sistema es singular: las ecuaciones no determinan un único conjunto de precios (no hay solución o hay infinitas).' };
+  }
+  const negative = result.before.findIndex(({ price, quantity }) => price < 0 || quantity < 0);
+  if (negative !== -1) {
+    const { price, quantity } = result.before[negative];
+    return {
+      ...result,
+      before: null,
+      error: `El sistema no tiene una solución no negativa: en «${goodName(goods[negative], negative)}» resulta P = ${price.toFixed(2)} y Q = ${quantity.toFixed(2)}.`,
+    };
+  }
+
+  const amount = shock ? parseFloat(shock.amount) : NaN;
+  if (shock && isFinite(amount) && amount !== 0) {
+    result.shifts = noShift.map((shift, i) => (i === shock.good ? { ...shift, [shock.side]: amount } : shift));
+    result.after = solveMarkets(result.curves, result.shifts);
+    const invalid = result.after.findIndex(({ price, quantity }) => price < 0 || quantity < 0);
+    if (invalid !== -1) {
+      result.after = null;
+      result.error = `Después del choque «${goodName(goods[invalid], invalid)}» quedaría con precio o cantidad negativos: el choque es demasiado grande.`;
+    }
+  } else {
+    result.shifts = noShift;
+  }
+  return result;
+};
+
+/**
+ * Puntos de las curvas de un mercado en función de su propio precio, con los demás precios fijos en el equilibrio.
+ * @param {{ demand: object, supply: object }} curves Curvas del mercado (analyzeMultiMarket).
+ * @param {number} goodIndex Posición del mercado.
+ * @param {number[]} prices Precios de equilibrio de todos los mercados.
+ * @param {{ demand: number, supply: number }} shift Desplazamiento de cada curva.
+ * @param {number} maxPrice Precio máximo del gráfico.
+ * @returns {{ demand: Array<{ quantity: number, price: number }>, supply: Array<{ quantity: number, price: number }> }}
+ *   Extremos de cada recta dentro del cuadrante positivo.
+ */
+export const ownPriceLines = (curves, goodIndex, prices, shift, maxPrice) => {
+  const line = (curve, amount) => {
+    const at = (price) => evaluate(curve, prices.map((value, j) => (j === goodIndex ? price : value)), amount);
+    const points = [];
+    const steps = 40;
+    for (let k = 0; k <= steps; k++) {
+      const price = (maxPrice * k) / steps;
+      const quantity = at(price);
+      if (quantity >= 0) points.push({ quantity, price });
+    }
+    return points;
+  };
+  return { demand: line(curves.demand, shift.demand), supply: line(curves.supply, shift.supply) };
+};
+
+/**
+ * Clasifica otro bien según el efecto de su precio en la demanda de un mercado.
+ * @param {number} coefficient Coeficiente del precio del otro bien en la demanda.
+ * @returns {string} 'sustituto', 'complementario' o 'independiente'.
+ */
+export const crossRelation = (coefficient) => (coefficient > 0 ? 'sustituto' : coefficient < 0 ? 'complementario' : 'independiente');
+
+/**
+ * Escribe una curva leída con sus precios numerados (ej. "40 - 4P1 + 2P2").
+ * @param {{ constant: number, coefficients: number[] }} curve Curva (parseSystemEquation).
+ * @returns {string} Ecuación sin el lado izquierdo.
+ */
+export const formatSystemEquation = (curve) => {
+  let text = formatCoefficient(curve.constant);
+  curve.coefficients.forEach((coefficient, j) => {
+    if (coefficient === 0) return;
+    const magnitude = Math.abs(coefficient) === 1 ? '' : formatCoefficient(Math.abs(coefficient));
+    text += ` ${coefficient < 0 ? '-' : '+'} ${magnitude}P${j + 1}`;
+  });
+  return text;
+};
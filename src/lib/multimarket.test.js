@@ -0,0 +1,89 @@
+import { describe, expect, it } from 'vitest';
+import { analyzeMultiMarket, crossRelation, formatSystemEquation, ownPriceLines, parseSystemEquation, solveLinearSystem } from './multimarket.js';
+
+const coffeeAndTea = [
+  { name: 'Café', demandEq: 'Qd = 40 - 4P1 + 2P2', supplyEq: '-14 + 3P' },
+  { name: 'Té', demandEq: '30 + P1 - 3P2', supplyEq: '2P2' },
+];
+
+describe('parseSystemEquation', () => {
+  it('lee la constante y el coeficiente de cada precio', () => {
+    expect(parseSystemEquation('Qd = 40 - 4P1 + 2*P2', 0, 2)).toEqual({ constant: 40, coefficients: [-4, 2], error: '' });
+    // P sola es el precio del propio bien; la coma se acepta como separador decimal
+    expect(parseSystemEquation('0,5P - P1 + 3', 1, 3)).toEqual({ constant: 3, coefficients: [-1, 0.5, 0], error: '' });
+  });
+
+  it('rechaza términos no lineales o precios inexistentes', () => {
+    expect(parseSystemEquation('40 - P1^2', 0, 2).error).toContain('P1^2');
+    expect(parseSystemEquation('40 - P3', 0, 2).error).toContain('P3 no corresponde');
+    expect(parseSystemEquation('  ', 0, 2).error).toBe('La ecuación está vacía.');
+  });
+
+  it('acepta etiquetas con el nombre del mercado y explica las que no reconoce', () => {
+    expect(parseSystemEquation('QdA = 40 - 4P1', 0, 2).coefficients).toEqual([-4, 0]);
+    expect(parseSystemEquation('Qd_café = 40 - 4P', 0, 2).coefficients).toEqual([-4, 0]);
+    expect(parseSystemEquation('Qs2 = 5 + P2', 1, 2)).toEqual({ constant: 5, coefficients: [0, 1], error: '' });
+    expect(parseSystemEquation('X = 40 - P', 0, 2).error).toContain('QdA = … o Qd_café = …');
+    expect(parseSystemEquation('Qd = 40 = P', 0, 2).error).toContain('no es válida');
+  });
+
+  it('escribe de nuevo la ecuación leída', () => {
+    expect(formatSystemEquation(parseSystemEquation('40 - 4P1 + P2', 0, 2))).toBe('40 - 4P1 + P2');
+  });
+});
+
+describe('solveLinearSystem', () => {
+  it('resuelve con pivoteo y detecta sistemas singulares', () => {
+    const solution = solveLinearSystem([[0, 1], [2, 1]], [3, 7]);
+    expect(solution[0]).toBeCloseTo(2);
+    expect(solution[1]).toBeCloseTo(3);
+    expect(solveLinearSystem([[1, 2], [2, 4]], [1, 2])).toBeNull();
+  });
+});
+
+describe('analyzeMultiMarket', () => {
+  it('encuentra todos los precios a la vez', () => {
+    const { error, before, after } = analyzeMultiMarket(coffeeAndTea);
+    expect(error).toBe('');
+    expect(before[0].price).toBeCloseTo(10);
+    expect(before[0].quantity).toBeCloseTo(16);
+    expect(before[1].price).toBeCloseTo(8);
+    expect(before[1].quantity).toBeCloseTo(16);
+    expect(after).toBeNull();
+  });
+
+  it('propaga un aumento de la demanda de café al mercado del té (sustitutos)', () => {
+    const { before, after, shifts } = analyzeMultiMarket(coffeeAndTea, { good: 0, side: 'demand', amount: '7' });
+    expect(shifts).toEqual([{ demand: 7, supply: 0 }, { demand: 0, supply: 0 }]);
+    expect(after[0].price).toBeGreaterThan(before[0].price);
+    // El café más caro aumenta la demanda de té: sube su precio y su cantidad
+    expect(after[1].price).toBeGreaterThan(before[1].price);
+    expect(after[1].quantity).toBeGreaterThan(before[1].quantity);
+    expect(crossRelation(1)).toBe('sustituto');
+    expect(crossRelation(-1)).toBe('complementario');
+  });
+
+  it('informa los sistemas singulares y las soluciones negativas', () => {
+    const singular = [
+      { name: 'A', demandEq: '10 - P1 - P2', supplyEq: '0' },
+      { name: 'B', demandEq: '20 - 2P1 - 2P2', supplyEq: '0' },
+    ];
+    expect(analyzeMultiMarket(singular).error).toContain('singular');
+    const negative = [
+      { name: 'A', demandEq: '2 - P1', supplyEq: '10 + P1' },
+      { name: 'B', demandEq: '20 - P2', supplyEq: 'P2' },
+    ];
+    const result = analyzeMultiMarket(negative);
+    expect(result.error).toContain('no tiene una solución no negativa');
+    expect(result.before).toBeNull();
+    expect(analyzeMultiMarket([{ ...coffeeAndTea[0], demandEq: '40 - P9' }, coffeeAndTea[1]]).error).toContain('demanda de «Café»');
+  });
+
+  it('dibuja cada mercado en función de su propio precio', () => {
+    const { curves, before } = analyzeMultiMarket(coffeeAndTea);
+    const lines = ownPriceLines(curves[0], 0, before.map(point => point.price), { demand: 0, supply: 0 }, 20);
+    // Con P2 = 8 la demanda de café es Qd = 56 - 4P1 y la oferta Qs = -14 + 3P1 (solo la parte con Q ≥ 0)
+    expect(lines.demand[0]).toEqual({ quantity: 56, price: 0 });
+    expect(lines.supply.every(point => point.quantity >= 0)).toBe(true);
+  });
+});
@@ -0,0 +1,374 @@
+import { formatCoefficient, formatLinearExpression } from './format.js';
+
+// Parser de ecuaciones de oferta y demanda: expresiones en P o Q, forma directa o inversa
+
+// Funciones matemáticas reconocidas por el parser de expresiones
+const MATH_FUNCTIONS = {
+  sqrt: Math.sqrt,
+  raiz: Math.sqrt,
+  ln: Math.log,
+  log: Math.log10,
+  exp: Math.exp,
+  abs: Math.abs,
+};
+
+// Constantes reconocidas por el parser de expresiones
+const MATH_CONSTANTS = {
+  e: Math.E,
+  pi: Math.PI,
+};
+
+// Nombres reconocidos ordenados del más largo al más corto para el tokenizador
+const KNOWN_NAMES = [...Object.keys(MATH_FUNCTIONS), ...Object.keys(MATH_CONSTANTS)].sort((a, b) => b.length - a.length);
+
+/**
+ * Divide una expresión en tokens (números, identificadores, operadores y paréntesis).
+ * Inserta la multiplicación implícita en casos como "2P", "3(P+1)" o "(P+1)(P-1)".
+ * @param {string} src La expresión ya sin espacios y en minúsculas.
+ * @returns {Array<{ type: string, value: string | number }>} Lista de tokens.
+ */
+const tokenize = (src) => {
+  const tokens = [];
+  let i = 0;
+
+  while (i < src.length) {
+    const ch = src[i];
+    let token;
+
+    if (/[0-9.]/.test(ch)) {
+      const match = src.slice(i).match(/^(\d+\.?\d*|\.\d+)/);
+      if (!match) throw new Error(`Número inválido cerca de '${src.slice(i)}'.`);
+      // Un segundo punto no empieza otro número: "1.2.3" es un error y no 1.2 · 0.3
+      if (src[i + match[0].length] === '.') {
+        throw new Error(`El número '${src.slice(i).match(/^[\d.]+/)[0]}' tiene más de un punto decimal.`);
+      }
+      token = { type: 'num', value: parseFloat(match[0]) };
+      i += match[0].length;
+    } else if (/[a-z]/.test(ch)) {
+      // Se toma el nombre conocido más largo (función o constante); si no hay ninguno,
+      // la letra se trata como un símbolo individual, de modo que "2pp" equivale a 2*P*P
+      const word = KNOWN_NAMES.find((name) => src.startsWith(name, i)) || ch;
+      token = { type: 'id', value: word };
+      i += word.length;
+    } else if ('+-*/^()'.includes(ch)) {
+      token = { type: ch === '(' || ch === ')' ? ch : 'op', value: ch };
+      i += 1;
+    } else {
+      throw new Error(`Carácter no reconocido: '${ch}'.`);
+    }
+
+    // Multiplicación implícita: número, variable o ')' seguido de número, variable, función o '('
+    const prev = tokens[tokens.length - 1];
+    const prevEndsValue = prev && (prev.type === 'num' || prev.type === ')' || (prev.type === 'id' && !MATH_FUNCTIONS[prev.value]));
+    const startsValue = token.type === 'num' || token.type === 'id' || token.type === '(';
+    if (prevEndsValue && startsValue) {
+      tokens.push({ type: 'op', value: '*' });
+    }
+    tokens.push(token);
+  }
+
+  return tokens;
+};
+
+/**
+ * Parser descendente recursivo para expresiones con +, -, *, /, ^, paréntesis y funciones.
+ * Gramática:
+ *   expr    := term (('+' | '-') term)*
+ *   term    := unary (('*' | '/') unary)*
+ *   unary   := ('+' | '-') unary | power
+ *   power   := primary ('^' unary)?
+ *   primary := número | variable | constante | función '(' expr ')' | '(' expr ')'
+ * @param {string} src La expresión a analizar.
+ * @param {string} variable Nombre de la variable independiente (ej. 'p').
+ * @returns {object} Árbol sintáctico de la expresión.
+ */
+export const parseExpression = (src, variable = 'p') => {
+  const tokens = tokenize(src);
+  let pos = 0;
+
+  const peek = () => tokens[pos];
+  const next = () => tokens[pos++];
+  const isOp = (token, ops) => token && token.type === 'op' && ops.includes(token.value);
+
+  const parseExpr = () => {
+    let node = parseTerm();
+    while (isOp(peek(), '+-')) {
+      const op = next().value;
+      node = { type: 'bin', op, left: node, right: parseTerm() };
+    }
+    return node;
+  };
+
+  const parseTerm = () => {
+    let node = parseUnary();
+    while (isOp(peek(), '*/')) {
+      const op = next().value;
+      node = { type: 'bin', op, left: node, right: parseUnary() };
+    }
+    return node;
+  };
+
+  const parseUnary = () => {
+    if (isOp(peek(), '+-')) {
+      const op = next().value;
+      const arg = parseUnary();
+      return op === '-' ? { type: 'neg', arg } : arg;
+    }
+    return parsePower();
+  };
+
+  const parsePower = () => {
+    const base = parsePrimary();
+    if (isOp(peek(), '^')) {
+      next();
+      // '^' es asociativo por la derecha y admite exponentes negativos (P^-1)
+      return { type: 'bin', op: '^', left: base, right: parseUnary() };
+    }
+    return base;
+  };
+
+  const parsePrimary = () => {
+    const token = next();
+    if (!token) throw new Error('La expresión termina de forma inesperada.');
+
+    if (token.type === 'num') return { type: 'num', value: token.value };
+
+    if (token.type === '(') {
+      const node = parseExpr();
+      if (!peek() || peek().type !== ')') throw new Error('Falta cerrar un paréntesis.');
+      next();
+      return node;
+    }
+
+    if (token.type === 'id') {
+      if (MATH_FUNCTIONS[token.value]) {
+        if (!peek() || peek().type !== '(') throw new Error(`La función '${token.value}' requiere paréntesis, ej. ${token.value}(P).`);
+        next();
+        const arg = parseExpr();
+        if (!peek() || peek().type !== ')') throw new Error('Falta cerrar un paréntesis.');
+        next();
+        return { type: 'call', name: token.value, arg };
+      }
+      if (token.value === variable) return { type: 'var' };
+      if (MATH_CONSTANTS[token.value] !== undefined) return { type: 'num', value: MATH_CONSTANTS[token.value] };
+      throw new Error(`Símbolo desconocido '${token.value}'. Usa '${variable.toUpperCase()}' como variable.`);
+    }
+
+    throw new Error(`Símbolo inesperado '${token.value}'.`);
+  };
+
+  if (tokens.length === 0) throw new Error('La expresión está vacía.');
+  const tree = parseExpr();
+  if (pos < tokens.length) throw new Error(`Símbolo inesperado '${tokens[pos].value}'.`);
+  return tree;
+};
+
+/**
+ * Convierte el árbol sintáctico en una función evaluable f(x).
+ * @param {object} node Nodo del árbol sintáctico.
+ * @returns {(x: number) => number} Función que evalúa la expresión.
+ */
+export const compileExpression = (node) => {
+  switch (node.type) {
+    case 'num': return () => node.value;
+    case 'var': return (x) => x;
+    case 'neg': {
+      const arg = compileExpression(node.arg);
+      return (x) => -arg(x);
+    }
+    case 'call': {
+      const fn = MATH_FUNCTIONS[node.name];
+      const arg = compileExpression(node.arg);
+      return (x) => fn(arg(x));
+    }
+    case 'bin': {
+      const left = compileExpression(node.left);
+      const right = compileExpression(node.right);
+      switch (node.op) {
+        case '+': return (x) => left(x) + right(x);
+        case '-': return (x) => left(x) - right(x);
+        case '*': return (x) => left(x) * right(x);
+        case '/': return (x) => left(x) / right(x);
+        default: return (x) => Math.pow(left(x), right(x));
+      }
+    }
+    default:
+      throw new Error('Nodo de expresión desconocido.');
+  }
+};
+
+/**
+ * Obtiene la pendiente y el intercepto de la expresión si es lineal en la variable.
+ * @param {object} node Nodo del árbol sintáctico.
+ * @returns {{ slope: number, intercept: number } | null} Coeficientes, o null si no es lineal.
+ */
+const linearCoefficients = (node) => {
+  switch (node.type) {
+    case 'num': return { slope: 0, intercept: node.value };
+    case 'var': return { slope: 1, intercept: 0 };
+    case 'neg': {
+      const arg = linearCoefficients(node.arg);
+      return arg && { slope: -arg.slope, intercept: -arg.intercept };
+    }
+    case 'call': {
+      const arg = linearCoefficients(node.arg);
+      return arg && arg.slope === 0 ? { slope: 0, intercept: MATH_FUNCTIONS[node.name](arg.intercept) } : null;
+    }
+    case 'bin': {
+      const l = linearCoefficients(node.left);
+      const r = linearCoefficients(node.right);
+      if (!l || !r) return null;
+      switch (node.op) {
+        case '+': return { slope: l.slope + r.slope, intercept: l.intercept + r.intercept };
+        case '-': return { slope: l.slope - r.slope, intercept: l.intercept - r.intercept };
+        case '*':
+          if (l.slope === 0) return { slope: l.intercept * r.slope, intercept: l.intercept * r.intercept };
+          if (r.slope === 0) return { slope: r.intercept * l.slope, intercept: r.intercept * l.intercept };
+          return null;
+        case '/':
+          return r.slope === 0 && r.intercept !== 0 ? { slope: l.slope / r.intercept, intercept: l.intercept / r.intercept } : null;
+        default:
+          if (r.slope !== 0) return null;
+          if (l.slope === 0) return { slope: 0, intercept: Math.pow(l.intercept, r.intercept) };
+          if (r.intercept === 1) return l;
+          if (r.intercept === 0) return { slope: 0, intercept: 1 };
+          return null;
+      }
+    }
+    default:
+      return null;
+  }
+};
+
+/**
+ * Obtiene las variables (P y/o Q) que aparecen en una expresión.
+ * @param {string} src La expresión ya sin espacios y en minúsculas.
+ * @returns {Set<string>} Conjunto con 'p' y/o 'q'.
+ */
+const expressionVariables = (src) => new Set(
+  tokenize(src).filter((t) => t.type === 'id' && (t.value === 'p' || t.value === 'q')).map((t) => t.value)
+);
+
+// Etiqueta del lado izquierdo de una ecuación: Q, Qd, Qs, Qox, Qdx, P, Pd, Ps...
+const EQUATION_LABEL = /^[qp][a-z]*$/;
+const isEquationLabel = (side) => EQUATION_LABEL.test(side) && MATH_CONSTANTS[side] === undefined;
+
+/**
+ * Función para parsear una ecuación de oferta o demanda.
+ * Admite la forma directa Q = f(P) ("100 - 2P", "Qd = -P + 16") y la forma inversa P = f(Q)
+ * ("P = 16 - Q", "Pd = 16 - Q"), con expresiones lineales o no lineales ("100 - P^2", "200/P", "sqrt(P)").
+ * Las ecuaciones lineales en forma inversa se convierten algebraicamente a la forma directa,
+ * de modo que la pendiente y el intercepto siempre corresponden a Q = aP + b.
+ * @param {string} eq La cadena de la ecuación (ej. "100 - 2P", "Qs = P + 4", "P = 16 - Q").
+ * @returns {{ form: 'direct' | 'inverse', inputForm: 'direct' | 'inverse', slope: number | null, intercept: number | null, isLinear: boolean, horizontalPrice: number | null, evaluate: ((x: number) => number) | null, expression: string, error: string | null }}
+ *   Objeto con la forma interna (directa: evaluate = Q(P); inversa: evaluate = P(Q)), la forma en que se escribió,
+ *   la pendiente y el intercepto de Q = aP + b (solo si es lineal), el precio de una curva horizontal P = c
+ *   (perfectamente elástica) y cualquier error.
+ */
+export const parseEquation = (eq) => {
+  const src = eq.replace(/\s/g, '').toLowerCase(); // Eliminar espacios y convertir a minúsculas
+  const failed = (message) => ({
+    form: 'direct', inputForm: 'direct', slope: null, intercept: null, isLinear: false, horizontalPrice: null, evaluate: null, expression: src,
+    error: `${message} Ejemplos válidos: '50 - 3P', 'Qd = 100 - P^2', 'P = 16 - Q' o '200/P'.`,
+  });
+
+  try {
+    // 1. Separar la etiqueta (Qd =, Qox =, Pd =...) y decidir qué lado contiene la expresión
+    const sides = src.split('=');
+    let expression;
+    let inputForm;
+
+    if (sides.length > 2) {
+      return failed("La ecuación solo puede tener un signo '='.");
+    } else if (sides.length === 2) {
+      const [left, right] = sides;
+      const labelSide = isEquationLabel(left) ? left : isEquationLabel(right) ? right : null;
+      if (labelSide === null) {
+        return failed("Uno de los lados de la ecuación debe ser Q (o Qd, Qs...) o P (o Pd, Ps...).");
+      }
+      expression = labelSide === left ? right : left;
+      inputForm = labelSide[0] === 'q' ? 'direct' : 'inverse';
+    } else {
+      // Sin etiqueta: la variable presente indica la forma (solo Q => P = f(Q))
+      expression = src;
+      const variables = expressionVariables(expression);
+      if (variables.has('p') && variables.has('q')) {
+        return failed("La expresión mezcla P y Q; escríbela como Q = f(P) o P = f(Q).");
+      }
+      inputForm = variables.has('q') ? 'inverse' : 'direct';
+    }
+
+    // 2. Construir el árbol de la expresión con la variable independiente correspondiente
+    const tree = parseExpression(expression, inputForm === 'direct' ? 'p' : 'q');
+    const evaluate = compileExpression(tree);
+    const linear = linearCoefficients(tree);
+
+    if (linear && (!isFinite(linear.slope) || !isFinite(linear.intercept))) {
+      return failed("La ecuación produce valores no finitos.");
+    }
+
+    // 3. Convertir a la forma interna Q = f(P) cuando es posible hacerlo de forma exacta
+    if (linear && inputForm === 'inverse') {
+      if (linear.slope === 0) {
+        // P = c: curva horizontal (perfectamente elástica); solo existe como P(Q), así que se queda en forma inversa
+        const price = linear.intercept;
+        return {
+          form: 'inverse', inputForm, slope: null, intercept: null, isLinear: false, horizontalPrice: price,
+          evaluate: () => price, expression, error: null,
+        };
+      }
+      // P = mQ + c  =>  Q = P/m - c/m
+      const slope = 1 / linear.slope;
+      const intercept = -linear.intercept / linear.slope;
+      return { form: 'direct', inputForm, slope, intercept, isLinear: true, horizontalPrice: null, evaluate: (p) => slope * p + intercept, expression, error: null };
+    }
+
+    return {
+      form: inputForm,
+      inputForm,
+      slope: linear ? linear.slope : null,
+      intercept: linear ? linear.intercept : null,
+      isLinear: Boolean(linear),
+      horizontalPrice: null,
+      evaluate,
+      expression,
+      error: null,
+    };
+  } catch (e) {
+    return failed(e.message);
+  }
+};
+
+/**
+ * Escribe una ecuación parseada en su forma directa (Q = f(P)) y en su forma inversa (P = f(Q)).
+ * Para curvas no lineales la forma que no se escribió se indica como inversa numérica.
+ * @param {object} parsed Resultado de parseEquation.
+ * @param {string} suffix Subíndice de la curva ('d' para demanda, 's' para oferta).
+ * @returns {{ direct: string, inverse: string }} Ambas formas como texto.
+ */
+export const describeEquationForms = (parsed, suffix) => {
+  if (parsed.participants) {
+    return {
+      direct: `Q${suffix} = Σ máx(0, qᵢ(P)) de ${parsed.expression} (suma horizontal)`,
+      inverse: `P${suffix} = f⁻¹(Q) (se calcula numéricamente)`,
+    };
+  }
+  if (parsed.horizontalPrice !== null) {
+    const price = formatCoefficient(parsed.horizontalPrice);
+    return { direct: `Q${suffix} cualquiera a P = ${price} (perfectamente elástica)`, inverse: `P${suffix} = ${price}` };
+  }
+  if (parsed.isLinear) {
+    const direct = `Q${suffix} = ${formatLinearExpression(parsed.slope, parsed.intercept, 'P')}`;
+    const inverse = parsed.slope === 0
+      ? `Q${suffix} = ${formatCoefficient(parsed.intercept)} para todo P (perfectamente inelástica)`
+      : `P${suffix} = ${formatLinearExpression(1 / parsed.slope, -parsed.intercept / parsed.slope, 'Q')}`;
+    return { direct, inverse };
+  }
+  // Espacios alrededor de + y - binarios, y P/Q en mayúsculas (sin tocar funciones como sqrt)
+  const written = parsed.expression
+    .replace(/([0-9a-z).])([+-])/g, '$1 $2 ')
+    .replace(/[a-z]+/g, (word) => (KNOWN_NAMES.includes(word) ? word : word.toUpperCase()));
+  return parsed.form === 'direct'
+    ? { direct: `Q${suffix} = ${written}`, inverse: `P${suffix} = f⁻¹(Q) (se calcula numéricamente)` }
+    : { direct: `Q${suffix} = f⁻¹(P) (se calcula numéricamente)`, inverse: `P${suffix} = ${written}` };
+};
@@ -0,0 +1,58 @@
+import { describe, expect, it } from 'vitest';
+import { describeEquationForms, parseEquation } from './parser.js';
+
+describe('parseEquation', () => {
+  it('lee una recta en forma directa con o sin etiqueta', () => {
+    for (const equation of ['-P + 16', 'Qd = -P + 16', '16 - p']) {
+      const parsed = parseEquation(equation);
+      expect(parsed.error).toBeNull();
+      expect(parsed).toMatchObject({ form: 'direct', inputForm: 'direct', isLinear: true, slope: -1, intercept: 16 });
+    }
+  });
+
+  it('despeja Q de una recta escrita en forma inversa', () => {
+    const parsed = parseEquation('P = 20 - 2Q');
+    expect(parsed).toMatchObject({ form: 'direct', inputForm: 'inverse', isLinear: true, slope: -0.5, intercept: 10 });
+    expect(parsed.evaluate(4)).toBeCloseTo(8);
+  });
+
+  it('acepta pendiente cero: Q constante es una curva vertical', () => {
+    expect(parseEquation('Q = 10')).toMatchObject({ isLinear: true, slope: 0, intercept: 10, horizontalPrice: null });
+  });
+
+  it('reconoce las curvas horizontales (P constante)', () => {
+    expect(parseEquation('P = 5')).toMatchObject({ form: 'inverse', isLinear: false, horizontalPrice: 5, slope: null });
+  });
+
+  it('marca como no lineales las expresiones con potencias o funciones', () => {
+    const parsed = parseEquation('100 - P^2');
+    expect(parsed.error).toBeNull();
+    expect(parsed.isLinear).toBe(false);
+    expect(parsed.evaluate(5)).toBe(75);
+  });
+
+  it.each([
+    ['', 'vacía'],
+    ['2 +', 'termina de forma inesperada'],
+    ['P +* 3', "Símbolo inesperado '*'"],
+    ['x + 2', "Símbolo desconocido 'x'"],
+    ['(P + 2', 'paréntesis'],
+    ['Q = P = 2', "un signo '='"],
+    ['1.2.3P + 4', "El número '1.2.3' tiene más de un punto decimal"],
+    ['16 - 2..5P', "El número '2..5' tiene más de un punto decimal"],
+  ])('rechaza la entrada mal escrita %j', (equation, message) => {
+    const parsed = parseEquation(equation);
+    expect(parsed.error).toContain(message);
+    expect(parsed.evaluate).toBeNull();
+  });
+});
+
+describe('describeEquationForms', () => {
+  it('escribe la forma directa y la inversa de una recta', () => {
+    expect(describeEquationForms(parseEquation('16 - P'), 'd')).toEqual({ direct: 'Qd = -P + 16', inverse: 'Pd = -Q + 16' });
+  });
+
+  it('indica que una curva vertical no tiene forma inversa', () => {
+    expect(describeEquationForms(parseEquation('Q = 10'), 'd').inverse).toContain('perfectamente inelástica');
+  });
+});
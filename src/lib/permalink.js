@@ -0,0 +1,274 @@
+import { DETERMINANT_KINDS } from './determinants.js';
+import { parseCostFunction } from './monopoly.js';
+import { parseEquation } from './parser.js';
+
+// Enlace permanente: el estado de la calculadora se guarda en los parámetros de la URL (sin servidor).
+// Solo se escriben los valores distintos de los iniciales para que el enlace sea corto.
+
+// Estado inicial de la calculadora
+export const DEFAULT_CALCULATOR_STATE = {
+  demandEq: '-P + 16',
+  supplyEq: 'P + 4',
+  marketInput: 'equations',
+  consumers: [
+    { id: 1, name: 'Consumidor 1', equation: '10 - P' },
+    { id: 2, name: 'Consumidor 2', equation: '6 - P' },
+  ],
+  firms: [
+    { id: 1, name: 'Empresa 1', equation: 'P - 2' },
+    { id: 2, name: 'Empresa 2', equation: 'P - 4' },
+  ],
+  determinants: {
+    demand: {
+      intercept: '10',
+      priceSlope: '-2',
+      terms: [
+        { id: 1, kind: 'income', name: 'Ingreso', coefficient: '0.1', baseline: '50', changed: '70' },
+        { id: 2, kind: 'relatedPrice', name: 'Precio del café', coefficient: '1', baseline: '3', changed: '' },
+      ],
+    },
+    supply: {
+      intercept: '6',
+      priceSlope: '2',
+      terms: [
+        { id: 1, kind: 'inputCost', name: 'Salario', coefficient: '-1', baseline: '4', changed: '' },
+        { id: 2, kind: 'firms', name: 'Número de empresas', coefficient: '0.5', baseline: '10', changed: '' },
+      ],
+    },
+  },
+  scenarios: [],
+  priceControlType: 'none',
+  priceControlValue: '',
+  taxMode: 'none',
+  taxKind: 'specific',
+  taxPayer: 'sellers',
+  taxAmount: '',
+  worldPrice: '',
+  tradePolicy: 'none',
+  tradeAmount: '',
+  cobwebMarket: 'original',
+  cobwebPrice: '',
+  marketStructure: 'competition',
+  costFunction: 'CT = 10 + 2Q + 0.5Q^2',
+  showTable: false,
+  showSteps: false,
+  showIndividualCurves: true,
+  surplusView: 'original',
+};
+
+const MAX_TEXT_LENGTH = 200; // Largo máximo de una ecuación o nombre en el enlace
+const MAX_LIST_LENGTH = 20; // Máximo de participantes o escenarios en el enlace
+
+// Error de validación de un parámetro del enlace
+class LinkParameterError extends Error {}
+
+const fail = (message) => {
+  throw new LinkParameterError(message);
+};
+
+const readText = (value, label) => {
+  if (typeof value !== 'string') fail(`${label} debe ser texto`);
+  if (value.length > MAX_TEXT_LENGTH) fail(`${label} es demasiado largo`);
+  return value;
+};
+
+// Una ecuación escrita debe poder parsearse; vacía solo se acepta donde significa "igual a la original"
+const readEquation = (value, label, { allowEmpty = false } = {}) => {
+  const text = readText(value, label);
+  if (allowEmpty && text.trim() === '') return text;
+  const parsed = parseEquation(text);
+  if (parsed.error) fail(`${label}: ${parsed.error}`);
+  return text;
+};
+
+const readNumber = (value, label, { allowEmpty = false } = {}) => {
+  const text = typeof value === 'number' ? String(value) : readText(value, label);
+  if (allowEmpty && text === '') return text;
+  if (text.trim() === '' || !isFinite(Number(text))) fail(`${label} debe ser un número`);
+  return text;
+};
+
+const readOption = (options) => (value, label) => {
+  if (!options.includes(value)) fail(`${label} debe ser uno de: ${options.join(', ')}`);
+  return value;
+};
+
+const readFlag = (value, label) => {
+  if (value !== '1' && value !== '0') fail(`${label} debe ser 1 o 0`);
+  return value === '1';
+};
+
+const readList = (value, label, readItem) => {
+  let list;
+  try {
+    list = JSON.parse(value);
+  } catch {
+    fail(`${label} no es una lista válida`);
+  }
+  return readItems(list, label, readItem);
+};
+
+// Valida una lista ya leída (también las que vienen dentro de otro objeto del enlace)
+const readItems = (list, label, readItem) => {
+  if (!Array.isArray(list)) fail(`${label} no es una lista válida`);
+  if (list.length > MAX_LIST_LENGTH) fail(`${label} tiene demasiados elementos`);
+  return list.map((item, index) => {
+    if (!item || typeof item !== 'object') fail(`${label}: el elemento ${index + 1} no es válido`);
+    return readItem(item, index, `${label} (elemento ${index + 1})`);
+  });
+};
+
+const readParticipants = (value, label) => {
+  const list = readList(value, label, (item, index, itemLabel) => ({
+    id: index + 1,
+    name: readText(item.name, `${itemLabel} nombre`),
+    equation: readEquation(item.equation, `${itemLabel} ecuación`),
+  }));
+  if (list.length === 0) fail(`${label} está vacía`);
+  return list;
+};
+
+const readScenarios = (value, label) => {
+  const list = readList(value, label, (item, index, itemLabel) => {
+    if (!Number.isInteger(item.id) || item.id < 1) fail(`${itemLabel} id debe ser un entero positivo`);
+    if (typeof item.visible !== 'boolean') fail(`${itemLabel} visible debe ser true o false`);
+    if (typeof item.color !== 'string' || !/^#[0-9a-f]{6}$/i.test(item.color)) fail(`${itemLabel} color debe tener la forma #rrggbb`);
+    return {
+      id: item.id,
+      name: readText(item.name, `${itemLabel} nombre`),
+      color: item.color,
+      visible: item.visible,
+      demandEq: readEquation(item.demandEq, `${itemLabel} demanda`, { allowEmpty: true }),
+      supplyEq: readEquation(item.supplyEq, `${itemLabel} oferta`, { allowEmpty: true }),
+      demandShift: readNumber(item.demandShift, `${itemLabel} desplazamiento de la demanda`, { allowEmpty: true }),
+      supplyShift: readNumber(item.supplyShift, `${itemLabel} desplazamiento de la oferta`, { allowEmpty: true }),
+    };
+  });
+  if (new Set(list.map(({ id }) => id)).size !== list.length) fail(`${label} tiene ids repetidos`);
+  return list;
+};
+
+// Curvas con determinantes: constante, pendiente del precio y determinantes de cada lado
+const readDeterminants = (value, label) => {
+  let data;
+  try {
+    data = JSON.parse(value);
+  } catch {
+    fail(`${label} no es un objeto válido`);
+  }
+  if (!data || typeof data !== 'object') fail(`${label} no es un objeto válido`);
+  const readSide = (side, sideLabel) => {
+    const curve = data[side];
+    if (!curve || typeof curve !== 'object') fail(`${label}: falta la ${sideLabel}`);
+    return {
+      intercept: readNumber(curve.intercept, `${label} constante de la ${sideLabel}`),
+      priceSlope: readNumber(curve.priceSlope, `${label} pendiente de la ${sideLabel}`),
+      terms: readItems(curve.terms, `${label} determinantes de la ${sideLabel}`, (item, index, itemLabel) => {
+        if (!DETERMINANT_KINDS[item.kind] || DETERMINANT_KINDS[item.kind].side !== side) fail(`${itemLabel} tipo no válido para la ${sideLabel}`);
+        return {
+          id: index + 1,
+          kind: item.kind,
+          name: readText(item.name, `${itemLabel} nombre`),
+          coefficient: readNumber(item.coefficient, `${itemLabel} coeficiente`),
+          baseline: readNumber(item.baseline, `${itemLabel} valor base`),
+          changed: readNumber(item.changed, `${itemLabel} valor después del cambio`, { allowEmpty: true }),
+        };
+      }),
+    };
+  };
+  return { demand: readSide('demand', 'demanda'), supply: readSide('supply', 'oferta') };
+};
+
+// Clave de un estado del mercado: 'original' o 'escenario_<id>'
+const readStateKey = (value, label) => {
+  if (value !== 'original' && !/^escenario_\d+$/.test(value)) fail(`${label} no es un estado del mercado`);
+  return value;
+};
+
+// Lectura y validación de cada parámetro admitido
+const READERS = {
+  demandEq: readEquation,
+  supplyEq: readEquation,
+  marketInput: readOption(['equations', 'aggregate', 'determinants']),
+  consumers: readParticipants,
+  firms: readParticipants,
+  determinants: readDeterminants,
+  scenarios: readScenarios,
+  priceControlType: readOption(['none', 'ceiling', 'floor']),
+  priceControlValue: (value, label) => readNumber(value, label, { allowEmpty: true }),
+  taxMode: readOption(['none', 'tax', 'subsidy']),
+  taxKind: readOption(['specific', 'adValorem']),
+  taxPayer: readOption(['sellers', 'buyers']),
+  taxAmount: (value, label) => readNumber(value, label, { allowEmpty: true }),
+  worldPrice: (value, label) => readNumber(value, label, { allowEmpty: true }),
+  tradePolicy: readOption(['none', 'tariff', 'quota']),
+  tradeAmount: (value, label) => readNumber(value, label, { allowEmpty: true }),
+  cobwebMarket: readStateKey,
+  cobwebPrice: (value, label) => readNumber(value, label, { allowEmpty: true }),
+  marketStructure: readOption(['competition', 'monopoly']),
+  costFunction: (value, label) => {
+    const text = readText(value, label);
+    const { error } = parseCostFunction(text);
+    if (error) fail(`${label}: ${error}`);
+    return text;
+  },
+  showTable: readFlag,
+  showSteps: readFlag,
+  showIndividualCurves: readFlag,
+  surplusView: (value, label) => (value === 'none' ? value : readStateKey(value, label)),
+};
+
+// Forma en que cada lista se escribe en el enlace (los ids de los participantes se regeneran al leerlo)
+const WRITERS = {
+  consumers: (list) => JSON.stringify(list.map(({ name, equation }) => ({ name, equation }))),
+  firms: (list) => JSON.stringify(list.map(({ name, equation }) => ({ name, equation }))),
+  determinants: (data) => JSON.stringify(Object.fromEntries(['demand', 'supply'].map(side => [side, {
+    intercept: data[side].intercept,
+    priceSlope: data[side].priceSlope,
+    terms: data[side].terms.map(({ kind, name, coefficient, baseline, changed }) => ({ kind, name, coefficient, baseline, changed })),
+  }]))),
+  scenarios: (list) => JSON.stringify(list.map(({ id, name, color, visible, demandEq, supplyEq, demandShift, supplyShift }) => ({ id, name, color, visible, demandEq, supplyEq, demandShift, supplyShift }))),
+};
+
+const writeValue = (key, value) => {
+  if (WRITERS[key]) return WRITERS[key](value);
+  if (typeof value === 'boolean') return value ? '1' : '0';
+  return String(value);
+};
+
+/**
+ * Escribe el estado de la calculadora como parámetros de URL.
+ * @param {object} state Estado con las claves de DEFAULT_CALCULATOR_STATE (las que falten se omiten).
+ * @returns {string} Parámetros sin el "?" inicial (vacío si todo tiene el valor inicial).
+ */
+export const encodeCalculatorState = (state) => {
+  const params = new URLSearchParams();
+  Object.keys(DEFAULT_CALCULATOR_STATE).forEach((key) => {
+    if (state[key] === undefined) return;
+    const value = writeValue(key, state[key]);
+    if (value !== writeValue(key, DEFAULT_CALCULATOR_STATE[key])) params.set(key, value);
+  });
+  return params.toString();
+};
+
+/**
+ * Lee el estado de la calculadora desde los parámetros de una URL, validando cada uno.
+ * Los parámetros desconocidos se ignoran; los mal formados se descartan y se informan.
+ * @param {string} search Parámetros de la URL (con o sin "?").
+ * @returns {{ state: object, errors: string[] }} Valores válidos y descripción de los rechazados.
+ */
+export const decodeCalculatorState = (search) => {
+  const params = new URLSearchParams(search);
+  const state = {};
+  const errors = [];
+  Object.entries(READERS).forEach(([key, read]) => {
+    if (!params.has(key)) return;
+    try {
+      state[key] = read(params.get(key), key);
+    } catch (e) {
+      if (!(e instanceof LinkParameterError)) throw e;
+      errors.push(e.message);
+    }
+  });
+  return { state, errors };
+};
@@ -0,0 +1,86 @@
+import { describe, expect, it } from 'vitest';
+import { DEFAULT_CALCULATOR_STATE, decodeCalculatorState, encodeCalculatorState } from './permalink.js';
+
+const scenario = { id: 3, name: 'Sube el ingreso', color: '#10B981', visible: true, demandEq: '', supplyEq: 'P + 2', demandShift: '4', supplyShift: '0' };
+
+describe('encodeCalculatorState', () => {
+  it('omite los valores iniciales', () => {
+    expect(encodeCalculatorState(DEFAULT_CALCULATOR_STATE)).toBe('');
+    expect(encodeCalculatorState({ ...DEFAULT_CALCULATOR_STATE, demandEq: '20 - 2P', showTable: true })).toBe('demandEq=20+-+2P&showTable=1');
+  });
+
+  it('recupera el mismo estado al leer el enlace', () => {
+    const state = {
+      ...DEFAULT_CALCULATOR_STATE,
+      supplyEq: 'P = Q - 4',
+      scenarios: [scenario],
+      taxMode: 'tax',
+      taxAmount: '2',
+      showIndividualCurves: false,
+      surplusView: 'escenario_3',
+    };
+    const { state: decoded, errors } = decodeCalculatorState(`?${encodeCalculatorState(state)}`);
+    expect(errors).toEqual([]);
+    expect(decoded).toEqual({
+      supplyEq: 'P = Q - 4',
+      scenarios: [scenario],
+      taxMode: 'tax',
+      taxAmount: '2',
+      showIndividualCurves: false,
+      surplusView: 'escenario_3',
+    });
+  });
+
+  it('regenera los ids de los participantes', () => {
+    const consumers = [{ id: 7, name: 'Ana', equation: '8 - P' }];
+    expect(decodeCalculatorState(encodeCalculatorState({ consumers })).state.consumers).toEqual([{ id: 1, name: 'Ana', equation: '8 - P' }]);
+  });
+});
+
+describe('decodeCalculatorState', () => {
+  it('rechaza los parámetros mal formados y conserva los válidos', () => {
+    const { state, errors } = decodeCalculatorState('demandEq=20-2P&supplyEq=P%2B*3&taxMode=bogus&showTable=si&utm_source=correo');
+    expect(state).toEqual({ demandEq: '20-2P' });
+    expect(errors).toHaveLength(3);
+    expect(errors[0]).toContain('supplyEq');
+    expect(errors[1]).toContain('taxMode');
+    expect(errors[2]).toContain('showTable');
+  });
+
+  it('valida la lista de escenarios', () => {
+    const encode = (list) => `scenarios=${encodeURIComponent(JSON.stringify(list))}`;
+    expect(decodeCalculatorState('scenarios=%5Bno').errors[0]).toContain('no es una lista válida');
+    expect(decodeCalculatorState(encode([{ ...scenario, color: 'red' }])).errors[0]).toContain('#rrggbb');
+    expect(decodeCalculatorState(encode([{ ...scenario, demandShift: 'mucho' }])).errors[0]).toContain('debe ser un número');
+    expect(decodeCalculatorState(encode([scenario, scenario])).errors[0]).toContain('ids repetidos');
+    expect(decodeCalculatorState(encode([{ ...scenario, demandEq: '16 -' }])).errors[0]).toContain('demanda');
+  });
+
+  it('valida los determinantes', () => {
+    const { determinants } = DEFAULT_CALCULATOR_STATE;
+    const changed = { ...determinants, supply: { ...determinants.supply, terms: [{ ...determinants.supply.terms[0], id: 5, changed: '6' }] } };
+    expect(decodeCalculatorState(encodeCalculatorState({ determinants: changed })).state.determinants.supply.terms)
+      .toEqual([{ ...determinants.supply.terms[0], changed: '6' }]);
+    const encode = (data) => `determinants=${encodeURIComponent(JSON.stringify(data))}`;
+    const wrongSide = { ...determinants, demand: { ...determinants.demand, terms: [{ ...determinants.supply.terms[0] }] } };
+    expect(decodeCalculatorState(encode(wrongSide)).errors[0]).toContain('tipo no válido');
+    expect(decodeCalculatorState(encode({ demand: determinants.demand })).errors[0]).toContain('oferta');
+  });
+
+  it('valida la estructura de mercado y la función de costo', () => {
+    const { state, errors } = decodeCalculatorState('marketStructure=monopoly&costFunction=CT%3D5%2BQ%5E2');
+    expect(state).toEqual({ marketStructure: 'monopoly', costFunction: 'CT=5+Q^2' });
+    expect(errors).toEqual([]);
+    expect(decodeCalculatorState('marketStructure=oligopoly&costFunction=P%3DQ').errors).toHaveLength(2);
+  });
+
+  it('valida el precio mundial y la política comercial', () => {
+    const { state, errors } = decodeCalculatorState('worldPrice=4&tradePolicy=embargo&tradeAmount=1');
+    expect(state).toEqual({ worldPrice: '4', tradeAmount: '1' });
+    expect(errors[0]).toContain('tradePolicy');
+  });
+
+  it('rechaza listas de participantes vacías', () => {
+    expect(decodeCalculatorState('firms=%5B%5D').errors).toEqual(['firms está vacía']);
+  });
+});
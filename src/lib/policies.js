@@ -0,0 +1,130 @@
+import { finiteOrZero } from './curves.js';
+import { findWedgeEquilibria } from './equilibrium.js';
+import { integrate } from './welfare.js';
+
+// Políticas de precios: controles de precio e impuestos o subsidios por unidad
+
+/**
+ * Analiza un control de precios (precio máximo o mínimo) frente al equilibrio del mercado.
+ * @param {object} demand Curva de demanda (buildCurve).
+ * @param {object} supply Curva de oferta (buildCurve).
+ * @param {{ price: number, quantity: number }} equilibrium Equilibrio numérico sin control.
+ * @param {'ceiling' | 'floor'} type Precio máximo ('ceiling') o precio mínimo ('floor').
+ * @param {number} price Precio legal fijado.
+ * @returns {{ type: string, price: number, quantityDemanded: number, quantitySupplied: number, binding: boolean, gapType: 'escasez' | 'excedente' | null, gap: number, tradedQuantity: number, deadweightLoss: number, deadweightArea: Array<{ quantity: number, range: number[] }> }}
+ *   Cantidades al precio controlado, tipo y tamaño del desequilibrio, cantidad intercambiada y pérdida irrecuperable.
+ */
+export const analyzePriceControl = (demand, supply, equilibrium, type, price) => {
+  const quantityDemanded = Math.max(finiteOrZero(demand.quantityAt(price)), 0);
+  const quantitySupplied = Math.max(finiteOrZero(supply.quantityAt(price)), 0);
+  // Un precio máximo solo es efectivo por debajo del equilibrio y un precio mínimo solo por encima
+  const binding = type === 'ceiling' ? price < equilibrium.price : price > equilibrium.price;
+
+  if (!binding) {
+    return {
+      type, price, quantityDemanded, quantitySupplied, binding, gapType: null, gap: 0,
+      tradedQuantity: equilibrium.quantity, deadweightLoss: 0, deadweightArea: [],
+    };
+  }
+
+  // En el mercado se intercambia la menor de las dos cantidades (el lado corto del mercado)
+  const tradedQuantity = Math.min(quantityDemanded, quantitySupplied);
+  const gapType = quantityDemanded > quantitySupplied ? 'escasez' : 'excedente';
+
+  // Pérdida irrecuperable: área entre la demanda y la oferta para las unidades que dejan de intercambiarse
+  const wedge = (q) => Math.max(finiteOrZero(demand.priceAt(q)) - Math.max(finiteOrZero(supply.priceAt(q)), 0), 0);
+  const deadweightLoss = integrate(wedge, tradedQuantity, equilibrium.quantity, 200);
+
+  const deadweightArea = [];
+  const numPoints = 40;
+  for (let i = 0; i <= numPoints; i++) {
+    const q = tradedQuantity + (i * (equilibrium.quantity - tradedQuantity)) / numPoints;
+    const ps = Math.max(finiteOrZero(supply.priceAt(q)), 0);
+    deadweightArea.push({ quantity: q, range: [ps, ps + wedge(q)] });
+  }
+
+  return {
+    type, price, quantityDemanded, quantitySupplied, binding, gapType,
+    gap: Math.abs(quantityDemanded - quantitySupplied), tradedQuantity, deadweightLoss, deadweightArea,
+  };
+};
+
+/**
+ * Construye la cuña de precios de un impuesto o subsidio.
+ * Específico: Pc = Pv ± t. Ad valorem: el porcentaje se calcula sobre el precio de quien lo paga o recibe legalmente
+ * a través del otro lado: a los compradores, Pc = Pv · (1 ± t/100); a los vendedores, Pv = Pc · (1 ∓ t/100).
+ * @param {{ mode: 'tax' | 'subsidy', kind: 'specific' | 'adValorem', payer: 'buyers' | 'sellers', amount: number }} policy Política fiscal.
+ * @returns {{ toBuyer: (p: number) => number, toSeller: (p: number) => number }} Conversión entre precios.
+ */
+export const buildTaxWedge = ({ mode, kind, payer, amount }) => {
+  const sign = mode === 'tax' ? 1 : -1;
+  if (kind === 'specific') {
+    return { toBuyer: (ps) => ps + sign * amount, toSeller: (pb) => pb - sign * amount };
+  }
+  if (payer === 'sellers') {
+    const factor = 1 - (sign * amount) / 100;
+    return { toBuyer: (ps) => ps / factor, toSeller: (pb) => pb * factor };
+  }
+  const factor = 1 + (sign * amount) / 100;
+  return { toBuyer: (ps) => ps * factor, toSeller: (pb) => pb / factor };
+};
+
+/**
+ * Analiza un impuesto o subsidio por unidad (específico o ad valorem) frente al equilibrio del mercado.
+ * En un impuesto específico la incidencia económica no depende de quién paga legalmente; eso solo decide qué curva
+ * se desplaza en la gráfica. En uno ad valorem, quién paga decide además sobre qué precio se calcula el porcentaje,
+ * así que cambia la cuña, la cantidad y la recaudación.
+ * @param {object} demand Curva de demanda (buildCurve).
+ * @param {object} supply Curva de oferta (buildCurve).
+ * @param {{ price: number, quantity: number }} equilibrium Equilibrio numérico sin impuesto.
+ * @param {{ mode: 'tax' | 'subsidy', kind: 'specific' | 'adValorem', payer: 'buyers' | 'sellers', amount: number }} policy Política fiscal.
+ * @returns {object | null} Precios de compradores y vendedores, cantidad, recaudación o costo, reparto de la carga
+ *   y pérdida irrecuperable; null si no existe un equilibrio válido con la política.
+ */
+export const analyzeTax = (demand, supply, equilibrium, policy) => {
+  const wedge = buildTaxWedge(policy);
+  const result = findWedgeEquilibria(demand, supply, wedge)[0];
+  if (!result) return null;
+
+  const { buyerPrice, sellerPrice, quantity } = result;
+  const gap = Math.abs(buyerPrice - sellerPrice);
+  // Recaudación del impuesto o costo fiscal del subsidio: la cuña por la cantidad intercambiada
+  const fiscalAmount = gap * quantity;
+
+  // Reparto de la carga (impuesto) o del beneficio (subsidio) según cuánto se movió cada precio
+  const buyerShare = gap > 0 ? Math.abs(buyerPrice - equilibrium.price) / gap : 0;
+  const sellerShare = gap > 0 ? Math.abs(equilibrium.price - sellerPrice) / gap : 0;
+
+  // Pérdida irrecuperable: área entre demanda y oferta entre la cantidad con política y la de equilibrio
+  const from = Math.min(quantity, equilibrium.quantity);
+  const to = Math.max(quantity, equilibrium.quantity);
+  const between = (q) => {
+    const pd = finiteOrZero(demand.priceAt(q));
+    const ps = Math.max(finiteOrZero(supply.priceAt(q)), 0);
+    return [Math.min(pd, ps), Math.max(pd, ps)];
+  };
+  const deadweightLoss = integrate((q) => {
+    const [low, high] = between(q);
+    return high - low;
+  }, from, to, 200);
+
+  const deadweightArea = [];
+  const numPoints = 40;
+  for (let i = 0; i <= numPoints; i++) {
+    const q = from + (i * (to - from)) / numPoints;
+    deadweightArea.push({ quantity: q, range: between(q) });
+  }
+
+  return {
+    ...policy,
+    wedge,
+    buyerPrice,
+    sellerPrice,
+    quantity,
+    fiscalAmount,
+    buyerShare,
+    sellerShare,
+    deadweightLoss,
+    deadweightArea,
+  };
+};
@@ -0,0 +1,123 @@
+import { formatLinearExpression } from './format.js';
+
+// Estimación de curvas lineales a partir de observaciones de precio y cantidad (mínimos cuadrados ordinarios)
+
+// Encabezados reconocidos para cada columna (en minúsculas y sin acentos)
+const PRICE_HEADERS = ['p', 'precio', 'price'];
+const QUANTITY_HEADERS = ['q', 'qd', 'qs', 'cantidad', 'cantidad demandada', 'cantidad ofrecida', 'quantity'];
+
+const normalizeHeader = (cell) => cell.trim().toLowerCase().normalize('NFD').replace(/[\u0300-\u036f]/g, '');
+
+// Separa las celdas de una línea: con ";" o tabuladores la coma puede ser el separador decimal
+const splitLine = (line) => {
+  if (line.includes(';') || line.includes('\t')) return line.split(/[;\t]/).map(cell => cell.trim().replace(',', '.'));
+  if (line.includes(',')) return line.split(',').map(cell => cell.trim());
+  return line.trim().split(/\s+/);
+};
+
+/**
+ * Lee observaciones escritas o pegadas como CSV: una por línea, con el precio y la cantidad.
+ * Acepta una línea de encabezado (ej. "precio,cantidad"), que además puede invertir el orden de las columnas.
+ * @param {string} text Contenido del CSV.
+ * @returns {{ points: Array<{ price: number, quantity: number }>, error: string }} Observaciones leídas y el primer
+ *   error encontrado ('' si no hay).
+ */
+export const parseObservations = (text) => {
+  const points = [];
+  let priceColumn = 0;
+  let quantityColumn = 1;
+  const lines = text.split(/\r?\n/);
+  for (let index = 0; index < lines.length; index++) {
+    if (lines[index].trim() === '') continue;
+    const cells = splitLine(lines[index]).filter(cell => cell !== '');
+    if (points.length === 0 && cells.some(cell => isNaN(Number(cell)))) {
+      // Encabezado: solo antes de la primera observación
+      const headers = cells.map(normalizeHeader);
+      const price = headers.findIndex(header => PRICE_HEADERS.includes(header));
+      const quantity = headers.findIndex(header => QUANTITY_HEADERS.includes(header));
+      if (price === -1 || quantity === -1) {
+        return { points: [], error: `Línea ${index + 1}: el encabezado debe tener una columna de precio (P) y una de cantidad (Q).` };
+      }
+      priceColumn = price;
+      quantityColumn = quantity;
+      continue;
+    }
+    const price = Number(cells[priceColumn]);
+    const quantity = Number(cells[quantityColumn]);
+    if (cells.length < 2 || !isFinite(price) || !isFinite(quantity)) {
+      return { points: [], error: `Línea ${index + 1}: se esperaba un precio y una cantidad numéricos ("${lines[index].trim()}").` };
+    }
+    if (price < 0 || quantity < 0) {
+      return { points: [], error: `Línea ${index + 1}: el precio y la cantidad no pueden ser negativos.` };
+    }
+    points.push({ price, quantity });
+  }
+  return { points, error: '' };
+};
+
+/**
+ * Ajusta la recta Q = a + bP que minimiza la suma de los residuos al cuadrado de la cantidad.
+ * @param {Array<{ price: number, quantity: number }>} points Observaciones.
+ * @returns {{ slope: number, intercept: number, rSquared: number, equation: string,
+ *   residuals: Array<{ price: number, quantity: number, fitted: number, residual: number }>, error: string }}
+ *   Coeficientes, R², ecuación en forma directa y residuo de cada observación (error no vacío si no se puede ajustar).
+ */
+export const fitLinear = (points) => {
+  if (points.length < 2) {
+    return { slope: NaN, intercept: NaN, rSquared: NaN, equation: '', residuals: [], error: 'Se necesitan al menos dos observaciones para ajustar una recta.' };
+  }
+  const n = points.length;
+  const meanPrice = points.reduce((sum, point) => sum + point.price, 0) / n;
+  const meanQuantity = points.reduce((sum, point) => sum + point.quantity, 0) / n;
+  let sxx = 0;
+  let sxy = 0;
+  let syy = 0;
+  points.forEach(({ price, quantity }) => {
+    sxx += (price - meanPrice) ** 2;
+    sxy += (price - meanPrice) * (quantity - meanQuantity);
+    syy += (quantity - meanQuantity) ** 2;
+  });
+  if (sxx < 1e-12) {
+    return { slope: NaN, intercept: NaN, rSquared: NaN, equation: '', residuals: [], error: 'Todas las observaciones tienen el mismo precio: se necesitan al menos dos precios distintos.' };
+  }
+  const slope = sxy / sxx;
+  const intercept = meanQuantity - slope * meanPrice;
+  const residuals = points.map(({ price, quantity }) => {
+    const fitted = intercept + slope * price;
+    return { price, quantity, fitted, residual: quantity - fitted };
+  });
+  const sse = residuals.reduce((sum, { residual }) => sum + residual ** 2, 0);
+  // Si todas las cantidades son iguales la recta horizontal Q = Q̄ las explica por completo
+  const rSquared = syy < 1e-12 ? 1 : 1 - sse / syy;
+  // La ecuación usa los coeficientes redondeados que muestra la calculadora (4 decimales)
+  const equation = formatLinearExpression(parseFloat(slope.toFixed(4)), parseFloat(intercept.toFixed(4)), 'P');
+  return { slope, intercept, rSquared, equation, residuals, error: '' };
+};
+
+// Nombre de cada lado en los mensajes y signo esperado de su pendiente dQ/dP
+const SIDES = {
+  demand: { name: 'demanda', sign: -1, warning: 'La demanda estimada tiene pendiente positiva: revisa que las cantidades sean las demandadas.' },
+  supply: { name: 'oferta', sign: 1, warning: 'La oferta estimada tiene pendiente negativa: revisa que las cantidades sean las ofrecidas.' },
+};
+
+/**
+ * Estima las curvas de demanda y oferta a partir de sus observaciones.
+ * @param {{ demand: string, supply: string }} data CSV de cada curva.
+ * @returns {{ demand: object | null, supply: object | null, error: string, warnings: string[] }} Observaciones y ajuste
+ *   de cada curva ({ points, ...fitLinear }), el primer error y los avisos sobre pendientes con el signo contrario al esperado.
+ */
+export const estimateCurves = (data) => {
+  const result = { demand: null, supply: null, error: '', warnings: [] };
+  for (const side of ['demand', 'supply']) {
+    const { points, error: parseError } = parseObservations(data[side]);
+    const fit = parseError ? null : fitLinear(points);
+    const error = parseError || fit.error;
+    if (error) {
+      result.error = `Datos de ${SIDES[side].name}: ${error}`;
+      return { ...result, demand: null, supply: null };
+    }
+    result[side] = { points, ...fit };
+    if (Math.sign(fit.slope) === -SIDES[side].sign) result.warnings.push(SIDES[side].warning);
+  }
+  return result;
+};
@@ -0,0 +1,65 @@
+import { describe, expect, it } from 'vitest';
+import { estimateCurves, fitLinear, parseObservations } from './regression.js';
+import { analyzeMarket } from './market.js';
+
+describe('parseObservations', () => {
+  it('lee pares precio, cantidad con o sin encabezado', () => {
+    expect(parseObservations('2,14\n4,12\n\n6,10').points).toEqual([
+      { price: 2, quantity: 14 }, { price: 4, quantity: 12 }, { price: 6, quantity: 10 },
+    ]);
+    // El encabezado puede poner la cantidad primero; con ";" se acepta la coma decimal
+    expect(parseObservations('Cantidad;Precio\n14,5;2\n12;4').points).toEqual([
+      { price: 2, quantity: 14.5 }, { price: 4, quantity: 12 },
+    ]);
+    expect(parseObservations('2 14\r\n4 12').points).toHaveLength(2);
+  });
+
+  it('indica la línea con datos inválidos', () => {
+    expect(parseObservations('2,14\n4,abc').error).toMatch(/^Línea 2/);
+    expect(parseObservations('2,-1').error).toMatch(/negativos/);
+    expect(parseObservations('x,y\n2,14').error).toMatch(/encabezado/);
+  });
+});
+
+describe('fitLinear', () => {
+  it('recupera una recta exacta con R² = 1', () => {
+    const fit = fitLinear([{ price: 2, quantity: 14 }, { price: 4, quantity: 12 }, { price: 6, quantity: 10 }]);
+    expect(fit.slope).toBeCloseTo(-1);
+    expect(fit.intercept).toBeCloseTo(16);
+    expect(fit.rSquared).toBeCloseTo(1);
+    expect(fit.equation).toBe('-P + 16');
+    fit.residuals.forEach(({ residual }) => expect(residual).toBeCloseTo(0));
+  });
+
+  it('calcula R² y los residuos de datos con ruido', () => {
+    // Q = 1 + 2P con residuos +1, -1, -1, +1
+    const fit = fitLinear([{ price: 0, quantity: 2 }, { price: 1, quantity: 2 }, { price: 2, quantity: 4 }, { price: 3, quantity: 8 }]);
+    expect(fit.slope).toBeCloseTo(2);
+    expect(fit.intercept).toBeCloseTo(1);
+    expect(fit.rSquared).toBeCloseTo(1 - 4 / 24);
+    expect(fit.residuals.reduce((sum, { residual }) => sum + residual, 0)).toBeCloseTo(0);
+  });
+
+  it('necesita al menos dos precios distintos', () => {
+    expect(fitLinear([{ price: 1, quantity: 2 }]).error).not.toBe('');
+    expect(fitLinear([{ price: 1, quantity: 2 }, { price: 1, quantity: 3 }]).error).toMatch(/mismo precio/);
+  });
+});
+
+describe('estimateCurves', () => {
+  it('ajusta las dos curvas y avisa de pendientes con el signo contrario', () => {
+    const result = estimateCurves({ demand: '2,14\n4,12\n6,10', supply: '2,6\n4,8\n6,10' });
+    expect(result.error).toBe('');
+    expect(result.demand.equation).toBe('-P + 16');
+    expect(result.supply.equation).toBe('P + 4');
+    expect(result.warnings).toEqual([]);
+    expect(estimateCurves({ demand: '2,6\n4,8', supply: '2,6\n4,8' }).warnings).toHaveLength(1);
+    expect(estimateCurves({ demand: '2,6\n4,8', supply: '' }).error).toMatch(/^Datos de oferta/);
+  });
+
+  it('las observaciones amplían los ejes de la gráfica', () => {
+    const domain = analyzeMarket({ demandEq: '-P + 16', supplyEq: 'P + 4', observations: [{ price: 40, quantity: 50 }] }).domain;
+    expect(domain.quantity[1]).toBeGreaterThanOrEqual(50);
+    expect(domain.price[1]).toBeGreaterThanOrEqual(40);
+  });
+});
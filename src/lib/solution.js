@@ -0,0 +1,161 @@
+import { LINE_TOLERANCE } from './curves.js';
+import { formatCoefficient } from './format.js';
+
+// Desarrollo algebraico del equilibrio para curvas lineales Q = aP + b (a es la pendiente y b el intercepto).
+// Cada paso tiene un título, líneas de notación matemática y una nota opcional.
+// Una línea es una lista de nodos: texto, { variable, sub } o { fraction: [numerador, denominador] }.
+
+const P = { variable: 'P' };
+const Q = { variable: 'Q' };
+const Qd = { variable: 'Q', sub: 'd' };
+const Qs = { variable: 'Q', sub: 's' };
+const A_DEMAND = { variable: 'a', sub: 'd' };
+const B_DEMAND = { variable: 'b', sub: 'd' };
+const A_SUPPLY = { variable: 'a', sub: 's' };
+const B_SUPPLY = { variable: 'b', sub: 's' };
+
+// Número con el signo menos tipográfico
+const number = (value) => formatCoefficient(value).replace('-', '−');
+
+// Número que conserva sus cifras significativas si es muy pequeño (una diferencia de pendientes de 0.00003 no es 0)
+const significant = (value) => (value !== 0 && Math.abs(value) < 1e-4 ? String(parseFloat(value.toPrecision(4))).replace('-', '−') : number(value));
+
+// Número con paréntesis si es negativo, para escribirlo después de un operador (ej. "4 − (−16)")
+const operand = (value) => (value < 0 ? `(${number(value)})` : number(value));
+
+/**
+ * Escribe aP + b como lista de nodos (ej. "−P + 16", "0.5P + 4").
+ * @param {number} slope Pendiente a.
+ * @param {number} intercept Intercepto b.
+ * @returns {Array} Nodos de la expresión.
+ */
+const linearNodes = (slope, intercept) => {
+  if (slope === 0) return [number(intercept)];
+  const magnitude = Math.abs(slope);
+  const term = magnitude === 1 ? [P] : [significant(magnitude), P];
+  const slopeTerm = slope < 0 ? ['−', ...term] : term;
+  if (intercept === 0) return slopeTerm;
+  return [...slopeTerm, intercept < 0 ? ' − ' : ' + ', number(Math.abs(intercept))];
+};
+
+// Sustituye un precio en aP + b (ej. "−1·6 + 16")
+const substitutionNodes = (slope, intercept, price) => [`${number(slope)}·${operand(price)} + ${operand(intercept)}`];
+
+/**
+ * Pasos para leer y desplazar una curva lineal.
+ * @param {object} parsed Resultado de parseEquation (lineal).
+ * @param {number} shift Desplazamiento horizontal.
+ * @param {object} name Nodo de la curva (Qd o Qs).
+ * @param {string} noun Nombre de la curva ('demanda' u 'oferta').
+ * @returns {Array} Líneas del paso.
+ */
+const curveLines = (parsed, shift, name, noun) => {
+  const lines = [[name, ' = ', ...linearNodes(parsed.slope, parsed.intercept)]];
+  if (shift !== 0) {
+    lines.push([name, ' = ', ...linearNodes(parsed.slope, parsed.intercept), shift < 0 ? ' − ' : ' + ', number(Math.abs(shift)), ' = ', ...linearNodes(parsed.slope, parsed.intercept + shift)]);
+  }
+  return { lines, note: parsed.inputForm === 'inverse' ? `La ${noun} se escribió en forma inversa (P en función de Q); se despejó Q para tener la forma Q = aP + b.` : null };
+};
+
+/**
+ * Construye el desarrollo algebraico de un equilibrio con las pendientes e interceptos de parseEquation.
+ * @param {object} parsedDemand Demanda parseada.
+ * @param {object} parsedSupply Oferta parseada.
+ * @param {number} demandShift Desplazamiento horizontal de la demanda.
+ * @param {number} supplyShift Desplazamiento horizontal de la oferta.
+ * @returns {{ steps: Array<{ title: string, lines: Array, note: string | null }>, price: number | null, quantity: number | null, valid: boolean } | { unavailable: string }}
+ *   Pasos y solución algebraica, o el motivo por el que no hay desarrollo.
+ */
+export const solutionSteps = (parsedDemand, parsedSupply, demandShift = 0, supplyShift = 0) => {
+  const demandHorizontal = parsedDemand.horizontalPrice !== null;
+  const supplyHorizontal = parsedSupply.horizontalPrice !== null;
+  if (demandHorizontal && supplyHorizontal) {
+    return { unavailable: 'Las dos curvas son horizontales: no hay un único precio que las iguale.' };
+  }
+  if ((!parsedDemand.isLinear && !demandHorizontal) || (!parsedSupply.isLinear && !supplyHorizontal)) {
+    return { unavailable: 'El desarrollo algebraico solo está disponible para curvas lineales; el equilibrio de curvas no lineales se busca numéricamente.' };
+  }
+
+  // Una curva horizontal fija el precio y la otra da la cantidad
+  if (demandHorizontal || supplyHorizontal) {
+    const [flat, flatName, other, otherShift, otherName, otherNoun] = demandHorizontal
+      ? [parsedDemand, 'demanda', parsedSupply, supplyShift, Qs, 'oferta']
+      : [parsedSupply, 'oferta', parsedDemand, demandShift, Qd, 'demanda'];
+    const price = flat.horizontalPrice;
+    const intercept = other.intercept + otherShift;
+    const quantity = intercept + other.slope * price;
+    const curve = curveLines(other, otherShift, otherName, otherNoun);
+    return {
+      steps: [
+        { title: 'Ecuaciones', lines: [[P, ' = ', number(price), ` (${flatName})`], ...curve.lines], note: curve.note },
+        { title: 'Precio de equilibrio', lines: [[P, ' = ', number(price)]], note: `La ${flatName} es perfectamente elástica: el precio es el mismo para cualquier cantidad.` },
+        { title: `Sustituir P en la ${otherNoun}`, lines: [[Q, ' = ', ...substitutionNodes(other.slope, intercept, price), ' = ', number(quantity)]], note: null },
+      ],
+      price,
+      quantity,
+      valid: price >= 0 && quantity >= 0,
+    };
+  }
+
+  // Q = aP + b: los desplazamientos horizontales cambian el intercepto b
+  const aD = parsedDemand.slope;
+  const bD = parsedDemand.intercept + demandShift;
+  const aS = parsedSupply.slope;
+  const bS = parsedSupply.intercept + supplyShift;
+  const numerator = bD - bS;
+  const denominator = aS - aD;
+  // La misma tolerancia que linearRelation, para que el desarrollo y el resultado numérico coincidan
+  const parallel = Math.abs(denominator) < LINE_TOLERANCE;
+
+  const demandLines = curveLines(parsedDemand, demandShift, Qd, 'demanda');
+  const supplyLines = curveLines(parsedSupply, supplyShift, Qs, 'oferta');
+  const steps = [
+    {
+      title: 'Ecuaciones',
+      lines: [
+        ...demandLines.lines,
+        ...supplyLines.lines,
+        [A_DEMAND, ` = ${number(aD)}, `, B_DEMAND, ` = ${number(bD)}, `, A_SUPPLY, ` = ${number(aS)}, `, B_SUPPLY, ` = ${number(bS)}`],
+      ],
+      note: [demandLines.note, supplyLines.note].filter(Boolean).join(' ') || null,
+    },
+    {
+      title: 'Igualar la cantidad demandada y la ofrecida',
+      lines: [[Qd, ' = ', Qs], [...linearNodes(aD, bD), ' = ', ...linearNodes(aS, bS)]],
+      note: null,
+    },
+    {
+      title: 'Agrupar los términos con P',
+      lines: [
+        ['(', A_SUPPLY, ' − ', A_DEMAND, ')', P, ' = ', B_DEMAND, ' − ', B_SUPPLY],
+        [`(${number(aS)} − ${operand(aD)})`, P, ` = ${number(bD)} − ${operand(bS)}`],
+        [...(parallel ? ['0·', P] : linearNodes(denominator, 0)), ` = ${significant(parallel && Math.abs(numerator) < LINE_TOLERANCE ? 0 : numerator)}`],
+      ],
+      note: null,
+    },
+  ];
+
+  if (parallel) {
+    steps[2].note = Math.abs(numerator) < LINE_TOLERANCE
+      ? 'La igualdad se cumple para cualquier P: las curvas coinciden y no hay un equilibrio único.'
+      : 'Ningún P cumple la igualdad: las curvas son paralelas y no se cruzan.';
+    return { steps, price: null, quantity: null, valid: false };
+  }
+
+  const price = numerator / denominator;
+  const quantity = aD * price + bD;
+  steps.push({
+    title: 'Despejar P',
+    lines: [[P, ' = ', { fraction: [[B_DEMAND, ' − ', B_SUPPLY], [A_SUPPLY, ' − ', A_DEMAND]] }, ' = ', { fraction: [[significant(numerator)], [significant(denominator)]] }, ' = ', number(price)]],
+    note: null,
+  });
+  steps.push({
+    title: 'Sustituir P para obtener Q',
+    lines: [
+      [Qd, ' = ', ...substitutionNodes(aD, bD, price), ' = ', number(quantity)],
+      [Qs, ' = ', ...substitutionNodes(aS, bS, price), ' = ', number(aS * price + bS)],
+    ],
+    note: 'Las dos curvas dan la misma cantidad, lo que comprueba el resultado.',
+  });
+  return { steps, price, quantity, valid: price >= 0 && quantity >= 0 };
+};
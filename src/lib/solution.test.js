@@ -0,0 +1,57 @@
+import { describe, expect, it } from 'vitest';
+import { analyzeMarket } from './market.js';
+import { parseEquation } from './parser.js';
+import { solutionSteps } from './solution.js';
+
+// Texto plano de una línea de notación (para comparar sin depender del renderizado)
+const lineText = (nodes) => nodes.map((node) => {
+  if (typeof node === 'string') return node;
+  if (node.fraction) return `(${lineText(node.fraction[0])})/(${lineText(node.fraction[1])})`;
+  return `${node.variable}${node.sub || ''}`;
+}).join('');
+
+describe('solutionSteps', () => {
+  it('despeja P con bD - bS y aS - aD y sustituye para obtener Q', () => {
+    const solution = solutionSteps(parseEquation('16 - P'), parseEquation('P + 4'));
+    expect(solution).toMatchObject({ price: 6, quantity: 10, valid: true });
+    const lines = solution.steps.flatMap((step) => step.lines.map(lineText));
+    expect(lines).toContain('(1 − (−1))P = 16 − 4');
+    expect(lines).toContain('P = (bd − bs)/(as − ad) = (12)/(2) = 6');
+    expect(lines).toContain('Qd = −1·6 + 16 = 10');
+  });
+
+  it('aplica los desplazamientos al intercepto', () => {
+    const solution = solutionSteps(parseEquation('16 - P'), parseEquation('P + 4'), 4, -6);
+    expect(solution.price).toBe(11);
+    expect(solution.quantity).toBe(9);
+  });
+
+  it('explica que las rectas paralelas no tienen solución', () => {
+    const solution = solutionSteps(parseEquation('16 - P'), parseEquation('10 - P'));
+    expect(solution.price).toBeNull();
+    expect(solution.steps[solution.steps.length - 1].note).toContain('paralelas');
+  });
+
+  it('no confunde pendientes casi iguales con rectas paralelas', () => {
+    // aS − aD = 0.00003 y bD − bS = 0.0003: se cruzan en P = 10, como encuentra el cálculo numérico
+    const solution = solutionSteps(parseEquation('16 - P'), parseEquation('15.9997 - 0.99997P'));
+    expect(solution.price).toBeCloseTo(10, 6);
+    expect(solution.quantity).toBeCloseTo(6, 6);
+    const lines = solution.steps.flatMap((step) => step.lines.map(lineText));
+    expect(lines).toContain('P = (bd − bs)/(as − ad) = (0.0003)/(0.00003) = 10');
+    const [market] = analyzeMarket({ demandEq: '16 - P', supplyEq: '15.9997 - 0.99997P' }).states;
+    expect(market.equilibria[0].price).toBeCloseTo(solution.price, 6);
+  });
+
+  it('marca como inválido un cruce con precio negativo', () => {
+    expect(solutionSteps(parseEquation('3 - P'), parseEquation('5 + P'))).toMatchObject({ price: -1, valid: false });
+  });
+
+  it('usa el precio de una curva horizontal', () => {
+    expect(solutionSteps(parseEquation('16 - P'), parseEquation('P = 5'))).toMatchObject({ price: 5, quantity: 11, valid: true });
+  });
+
+  it('no ofrece desarrollo para curvas no lineales', () => {
+    expect(solutionSteps(parseEquation('100 - P^2'), parseEquation('P + 4')).unavailable).toContain('lineales');
+  });
+});
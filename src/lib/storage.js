@@ -0,0 +1,35 @@
+// Lectura y escritura de JSON en el almacenamiento del navegador. Un valor corrupto o un almacenamiento bloqueado
+// (modo privado, cuota llena) no deben impedir usar la app: leer devuelve el valor por defecto y escribir informa si falló.
+
+/**
+ * Lee un valor JSON guardado.
+ * @param {string} key Clave del almacenamiento.
+ * @param {*} fallback Valor si no hay nada guardado, el texto no es JSON o el almacenamiento no está disponible.
+ * @param {Storage} [storage] Almacenamiento a usar (localStorage por defecto).
+ * @returns {*} Valor leído o fallback.
+ */
+export const readJson = (key, fallback, storage = globalThis.localStorage) => {
+  try {
+    const text = storage ? storage.getItem(key) : null;
+    return text === null ? fallback : JSON.parse(text);
+  } catch {
+    return fallback;
+  }
+};
+
+/**
+ * Guarda un valor como JSON.
+ * @param {string} key Clave del almacenamiento.
+ * @param {*} value Valor a guardar.
+ * @param {Storage} [storage] Almacenamiento a usar (localStorage por defecto).
+ * @returns {boolean} false si no se pudo guardar (sin almacenamiento, modo privado o cuota llena).
+ */
+export const writeJson = (key, value, storage = globalThis.localStorage) => {
+  try {
+    if (!storage) return false;
+    storage.setItem(key, JSON.stringify(value));
+    return true;
+  } catch {
+    return false;
+  }
+};
@@ -0,0 +1,22 @@
+import { describe, expect, it } from 'vitest';
+import { createMemoryStorage } from '../test/memoryStorage.js';
+import { readJson, writeJson } from './storage.js';
+
+describe('readJson y writeJson', () => {
+  it('guarda y lee valores JSON', () => {
+    const storage = createMemoryStorage();
+    expect(readJson('clave', [], storage)).toEqual([]);
+    expect(writeJson('clave', { a: 1 }, storage)).toBe(true);
+    expect(readJson('clave', null, storage)).toEqual({ a: 1 });
+  });
+
+  it('devuelve el valor por defecto con texto corrupto o sin almacenamiento', () => {
+    expect(readJson('clave', 'defecto', createMemoryStorage({ clave: '{no es json' }))).toBe('defecto');
+    expect(readJson('clave', 'defecto', null)).toBe('defecto');
+    expect(writeJson('clave', 1, null)).toBe(false);
+  });
+
+  it('informa cuando el navegador no permite guardar', () => {
+    expect(writeJson('clave', 1, { setItem: () => { throw new Error('QuotaExceededError'); } })).toBe(false);
+  });
+});
@@ -0,0 +1,116 @@
+import { findRoots, finiteOrZero } from './curves.js';
+import { integrate } from './welfare.js';
+
+// Economía abierta pequeña: el país toma el precio mundial como dado y la diferencia entre lo que consume y lo que
+// produce se importa o se exporta. Un arancel o una cuota a la importación elevan el precio interno.
+
+/**
+ * Analiza el comercio internacional a un precio mundial, con un arancel o una cuota a la importación opcionales.
+ * Los cambios de excedentes de la política se miden contra el libre comercio y las ganancias del comercio contra la autarquía.
+ * @param {object} demand Curva de demanda interna (buildCurve).
+ * @param {object} supply Curva de oferta interna (buildCurve).
+ * @param {{ price: number, quantity: number }} equilibrium Equilibrio de autarquía (sin comercio).
+ * @param {{ worldPrice: number, policy: 'none' | 'tariff' | 'quota', amount: number }} trade Precio mundial y política
+ *   (arancel por unidad o cantidad máxima de importaciones).
+ * @returns {{ worldPrice: number, policy: string, amount: number, equilibriumPrice: number, equilibriumQuantity: number,
+ *   situation: 'imports' | 'exports' | 'autarky', free: { demanded: number, supplied: number, imports: number, exports: number },
+ *   domesticPrice: number, demanded: number, supplied: number, imports: number, exports: number, applies: boolean,
+ *   binding: boolean, prohibitive: boolean, revenue: number,
+ *   gains: { consumer: number, producer: number, total: number },
+ *   change: { consumer: number, producer: number, revenue: number, total: number },
+ *   deadweightLoss: number, productionLoss: number, consumptionLoss: number,
+ *   areas: { production: Array<{ quantity: number, range: number[] }>, consumption: Array<{ quantity: number, range: number[] }> } }}
+ *   Cantidades al precio mundial y al precio interno con la política, recaudación del arancel o renta de la cuota,
+ *   cambios de excedentes, pérdidas irrecuperables (producción y consumo) y sus áreas para la gráfica.
+ */
+export const analyzeTrade = (demand, supply, equilibrium, { worldPrice, policy, amount }) => {
+  const demandedAt = (p) => Math.max(finiteOrZero(demand.quantityAt(p)), 0);
+  const suppliedAt = (p) => Math.max(finiteOrZero(supply.quantityAt(p)), 0);
+  const importsAt = (p) => demandedAt(p) - suppliedAt(p);
+  // Cambio del excedente cuando el precio pasa de `from` a `to`: área a la izquierda de la curva entre ambos precios
+  const areaBetween = (quantityAt, from, to) => (from === to ? 0 : integrate(quantityAt, Math.min(from, to), Math.max(from, to), 200) * Math.sign(to - from));
+
+  const free = {
+    demanded: demandedAt(worldPrice),
+    supplied: suppliedAt(worldPrice),
+  };
+  free.imports = Math.max(free.demanded - free.supplied, 0);
+  free.exports = Math.max(free.supplied - free.demanded, 0);
+  const situation = free.imports > 1e-9 ? 'imports' : free.exports > 1e-9 ? 'exports' : 'autarky';
+
+  // Ganancias del comercio: los consumidores ganan si el precio baja y los productores si sube
+  const gains = {
+    consumer: -areaBetween(demandedAt, equilibrium.price, worldPrice),
+    producer: areaBetween(suppliedAt, equilibrium.price, worldPrice),
+  };
+  gains.total = gains.consumer + gains.producer;
+
+  // El arancel y la cuota solo afectan a un país que importa; nunca llevan el precio por encima del de autarquía
+  const applies = policy !== 'none' && situation === 'imports';
+  let domesticPrice = worldPrice;
+  let prohibitive = false;
+  if (applies && policy === 'tariff') {
+    prohibitive = worldPrice + amount >= equilibrium.price;
+    domesticPrice = Math.min(worldPrice + amount, equilibrium.price);
+  } else if (applies && policy === 'quota' && amount < free.imports) {
+    // Precio interno al que las importaciones (exceso de demanda) igualan la cuota
+    const price = findRoots((p) => importsAt(p) - amount).find(p => p >= worldPrice - 1e-9 && p <= equilibrium.price + 1e-9);
+    domesticPrice = price === undefined ? equilibrium.price : price;
+    prohibitive = amount === 0;
+  }
+  const binding = domesticPrice > worldPrice;
+
+  const demanded = demandedAt(domesticPrice);
+  const supplied = suppliedAt(domesticPrice);
+  const imports = Math.max(demanded - supplied, 0);
+  // Recaudación del arancel (arancel × importaciones) o renta de la cuota para quien tiene las licencias de importación
+  const revenue = (domesticPrice - worldPrice) * imports;
+
+  const change = {
+    consumer: -areaBetween(demandedAt, worldPrice, domesticPrice),
+    producer: areaBetween(suppliedAt, worldPrice, domesticPrice),
+    revenue,
+  };
+  change.total = change.consumer + change.producer + change.revenue;
+
+  // Pérdidas irrecuperables: producción interna ineficiente y consumo que deja de hacerse
+  const productionLoss = binding ? integrate((p) => suppliedAt(p) - free.supplied, worldPrice, domesticPrice, 200) : 0;
+  const consumptionLoss = binding ? integrate((p) => free.demanded - demandedAt(p), worldPrice, domesticPrice, 200) : 0;
+
+  const production = [];
+  const consumption = [];
+  if (binding) {
+    const numPoints = 40;
+    for (let i = 0; i <= numPoints; i++) {
+      const qs = free.supplied + (i * (supplied - free.supplied)) / numPoints;
+      production.push({ quantity: qs, range: [Math.min(Math.max(finiteOrZero(supply.priceAt(qs)), worldPrice), domesticPrice), domesticPrice] });
+      const qd = demanded + (i * (free.demanded - demanded)) / numPoints;
+      consumption.push({ quantity: qd, range: [worldPrice, Math.max(Math.min(finiteOrZero(demand.priceAt(qd)), domesticPrice), worldPrice)] });
+    }
+  }
+
+  return {
+    worldPrice,
+    policy,
+    amount,
+    equilibriumPrice: equilibrium.price,
+    equilibriumQuantity: equilibrium.quantity,
+    situation,
+    free,
+    domesticPrice,
+    demanded,
+    supplied,
+    imports,
+    exports: Math.max(supplied - demanded, 0),
+    applies,
+    binding,
+    prohibitive,
+    revenue,
+    gains,
+    change,
+    deadweightLoss: productionLoss + consumptionLoss,
+    productionLoss,
+    consumptionLoss,
+    areas: { production, consumption },
+  };
+};
@@ -0,0 +1,78 @@
+import { describe, expect, it } from 'vitest';
+import { buildCurve } from './curves.js';
+import { analyzeMarket } from './market.js';
+import { parseEquation } from './parser.js';
+import { analyzeTrade } from './trade.js';
+
+// Qd = 16 - P y Qs = 4 + P: sin comercio P = 6 y Q = 10
+const demand = buildCurve(parseEquation('-P + 16'), 0);
+const supply = buildCurve(parseEquation('P + 4'), 0);
+const autarky = { price: 6, quantity: 10 };
+
+describe('analyzeTrade', () => {
+  it('calcula importaciones y ganancias del comercio con un precio mundial bajo', () => {
+    const result = analyzeTrade(demand, supply, autarky, { worldPrice: 4, policy: 'none', amount: 0 });
+    expect(result.situation).toBe('imports');
+    expect(result.free).toEqual({ demanded: 12, supplied: 8, imports: 4, exports: 0 });
+    expect(result.gains.consumer).toBeCloseTo(22);
+    expect(result.gains.producer).toBeCloseTo(-18);
+    expect(result.gains.total).toBeCloseTo(4);
+    expect(result.binding).toBe(false);
+    expect(result.deadweightLoss).toBe(0);
+  });
+
+  it('calcula exportaciones con un precio mundial alto y no aplica el arancel', () => {
+    const result = analyzeTrade(demand, supply, autarky, { worldPrice: 8, policy: 'tariff', amount: 1 });
+    expect(result.situation).toBe('exports');
+    expect(result.free.exports).toBe(4);
+    expect(result.applies).toBe(false);
+    expect(result.domesticPrice).toBe(8);
+  });
+
+  it('mide la recaudación, los cambios de excedentes y la pérdida de un arancel', () => {
+    const result = analyzeTrade(demand, supply, autarky, { worldPrice: 4, policy: 'tariff', amount: 1 });
+    expect(result.domesticPrice).toBe(5);
+    expect(result.imports).toBe(2);
+    expect(result.revenue).toBeCloseTo(2);
+    expect(result.change.consumer).toBeCloseTo(-11.5);
+    expect(result.change.producer).toBeCloseTo(8.5);
+    expect(result.productionLoss).toBeCloseTo(0.5);
+    expect(result.consumptionLoss).toBeCloseTo(0.5);
+    // La pérdida irrecuperable es lo que nadie gana: −(ΔEC + ΔEP + recaudación)
+    expect(result.change.total).toBeCloseTo(-result.deadweightLoss);
+  });
+
+  it('un arancel prohibitivo devuelve el precio de autarquía', () => {
+    const result = analyzeTrade(demand, supply, autarky, { worldPrice: 4, policy: 'tariff', amount: 5 });
+    expect(result.prohibitive).toBe(true);
+    expect(result.domesticPrice).toBe(6);
+    expect(result.imports).toBe(0);
+    expect(result.deadweightLoss).toBeCloseTo(4);
+  });
+
+  it('una cuota equivale al arancel que deja pasar las mismas importaciones', () => {
+    const quota = analyzeTrade(demand, supply, autarky, { worldPrice: 4, policy: 'quota', amount: 2 });
+    expect(quota.domesticPrice).toBeCloseTo(5);
+    expect(quota.revenue).toBeCloseTo(2);
+    expect(quota.deadweightLoss).toBeCloseTo(1);
+    // Una cuota mayor que las importaciones libres no modifica el precio
+    expect(analyzeTrade(demand, supply, autarky, { worldPrice: 4, policy: 'quota', amount: 6 }).binding).toBe(false);
+  });
+});
+
+describe('analyzeMarket con comercio internacional', () => {
+  it('aplica el comercio al mercado y amplía los ejes hasta el precio mundial', () => {
+    const result = analyzeMarket({ demandEq: '-P + 16', supplyEq: 'P + 4', trade: { worldPrice: '12', policy: 'none', amount: '' } });
+    expect(result.trade.free.exports).toBe(12);
+    expect(result.trade.reference).toBe('E0');
+    expect(result.domain.price[1]).toBeGreaterThan(12);
+  });
+
+  it('ignora la política sin monto y valida los valores', () => {
+    expect(analyzeMarket({ demandEq: '-P + 16', supplyEq: 'P + 4', trade: { worldPrice: '4', policy: 'tariff', amount: '' } }).trade.policy).toBe('none');
+    expect(analyzeMarket({ demandEq: '-P + 16', supplyEq: 'P + 4', trade: { worldPrice: 'x', policy: 'none', amount: '' } }).error)
+      .toBe('El precio mundial debe ser un número mayor o igual a 0.');
+    expect(analyzeMarket({ demandEq: '-P + 16', supplyEq: 'P + 4', trade: { worldPrice: '4', policy: 'quota', amount: '-1' } }).error)
+      .toBe('La cuota de importación debe ser una cantidad mayor o igual a 0.');
+  });
+});
@@ -0,0 +1,114 @@
+import { findRoots, finiteOrZero } from './curves.js';
+
+// Excedentes del consumidor y del productor
+
+/**
+ * Integra numéricamente fn entre a y b con la regla de Simpson.
+ * @param {(x: number) => number} fn Función a integrar.
+ * @param {number} a Límite inferior.
+ * @param {number} b Límite superior.
+ * @param {number} n Número (par) de subintervalos.
+ * @returns {number} Valor aproximado de la integral.
+ */
+export const integrate = (fn, a, b, n = 1000) => {
+  if (b <= a) return 0;
+  const h = (b - a) / n;
+  let sum = fn(a) + fn(b);
+  for (let i = 1; i < n; i++) {
+    sum += fn(a + i * h) * (i % 2 === 0 ? 2 : 4);
+  }
+  return (sum * h) / 3;
+};
+
+/**
+ * Integra fn sobre un intervalo no acotado, sumando ventanas geométricas hasta que su aporte sea despreciable.
+ * Con factor > 1 avanza hacia +infinito desde start; con factor < 1 se acerca a 0 desde start.
+ * @param {(x: number) => number} fn Función a integrar.
+ * @param {number} start Punto de partida (> 0).
+ * @param {number} factor Razón entre extremos de ventanas consecutivas (ej. 2 o 0.5).
+ * @returns {number | null} Valor de la integral, o null si no converge.
+ */
+const integrateGeometric = (fn, start, factor) => {
+  let total = 0;
+  let from = start;
+  for (let i = 0; i < 60; i++) {
+    const to = from * factor;
+    const piece = factor > 1 ? integrate(fn, from, to, 64) : integrate(fn, to, from, 64);
+    total += piece;
+    if (Math.abs(piece) < 1e-7 * Math.max(1, Math.abs(total))) return total;
+    from = to;
+  }
+  return null;
+};
+
+/**
+ * Calcula el excedente del consumidor en un equilibrio: el área entre la demanda y el precio de equilibrio.
+ * @param {object} demand Curva de demanda (buildCurve).
+ * @param {{ price: number, quantity: number }} equilibrium Equilibrio numérico.
+ * @returns {number | null} Excedente, o null si el área no está acotada (ej. demanda 200/P).
+ */
+export const consumerSurplus = (demand, { price, quantity }) => {
+  if (demand.form === 'direct') {
+    // EC = ∫ Qd(P) dP desde el precio de equilibrio hasta el precio en que Qd llega a 0
+    const area = (p) => Math.max(finiteOrZero(demand.quantityAt(p)), 0);
+    const chokePrice = findRoots(demand.quantityAt).find((p) => p > price + 1e-9);
+    if (chokePrice !== undefined) return integrate(area, price, chokePrice);
+    const tail = integrateGeometric(area, price + 1, 2);
+    return tail === null ? null : integrate(area, price, price + 1) + tail;
+  }
+
+  // EC = ∫ (Pd(Q) - P*) dQ desde 0 hasta la cantidad de equilibrio
+  const area = (q) => Math.max(finiteOrZero(demand.priceAt(q)) - price, 0);
+  if (isFinite(demand.priceAt(0))) return integrate(area, 0, quantity);
+  return integrateGeometric(area, quantity, 0.5);
+};
+
+/**
+ * Calcula el excedente del productor en un equilibrio: el área entre el precio de equilibrio y la oferta.
+ * @param {object} supply Curva de oferta (buildCurve).
+ * @param {{ price: number, quantity: number }} equilibrium Equilibrio numérico.
+ * @returns {number} Excedente del productor.
+ */
+export const producerSurplus = (supply, { price, quantity }) => {
+  if (supply.form === 'direct') {
+    // EP = ∫ Qs(P) dP desde 0 hasta el precio de equilibrio
+    return integrate((p) => Math.max(finiteOrZero(supply.quantityAt(p)), 0), 0, price);
+  }
+  // EP = ∫ (P* - Ps(Q)) dQ desde 0 hasta la cantidad de equilibrio (precios negativos cuentan como 0)
+  return integrate((q) => Math.max(price - Math.max(finiteOrZero(supply.priceAt(q)), 0), 0), 0, quantity);
+};
+
+/**
+ * Calcula el bienestar de un equilibrio.
+ * @param {object} demand Curva de demanda (buildCurve).
+ * @param {object} supply Curva de oferta (buildCurve).
+ * @param {{ price: number, quantity: number }} equilibrium Equilibrio numérico.
+ * @returns {{ consumer: number | null, producer: number, total: number | null }} Excedentes (null si no está acotado).
+ */
+export const computeWelfare = (demand, supply, equilibrium) => {
+  const consumer = consumerSurplus(demand, equilibrium);
+  const producer = producerSurplus(supply, equilibrium);
+  return { consumer, producer, total: consumer === null ? null : consumer + producer };
+};
+
+/**
+ * Genera los polígonos de excedentes para sombrearlos en la gráfica como áreas de rango [Pmin, Pmax].
+ * @param {object} demand Curva de demanda (buildCurve).
+ * @param {object} supply Curva de oferta (buildCurve).
+ * @param {{ price: number, quantity: number }} equilibrium Equilibrio numérico.
+ * @param {number} maxPrice Precio máximo visible (recorta demandas que crecen sin límite).
+ * @param {number} numPoints Número de intervalos sobre la cantidad.
+ * @returns {{ consumer: Array<{ quantity: number, range: number[] }>, producer: Array<{ quantity: number, range: number[] }> }}
+ */
+export const surplusAreas = (demand, supply, { price, quantity }, maxPrice, numPoints = 60) => {
+  const consumer = [];
+  const producer = [];
+  for (let i = 0; i <= numPoints; i++) {
+    const q = (i * quantity) / numPoints;
+    const pd = demand.priceAt(q);
+    const ps = supply.priceAt(q);
+    consumer.push({ quantity: q, range: [price, isFinite(pd) ? Math.min(Math.max(pd, price), maxPrice) : price] });
+    producer.push({ quantity: q, range: [isFinite(ps) ? Math.min(Math.max(ps, 0), price) : 0, price] });
+  }
+  return { consumer, producer };
+};
@@ -0,0 +1,204 @@
+import { formatLinearExpression } from '../lib/format.js';
+import { analyzeMarket } from '../lib/market.js';
+
+// Ejercicios de práctica: mercados lineales aleatorios con equilibrio positivo, generados a partir de una semilla
+// para que toda una clase reciba los mismos problemas, y su corrección con tolerancia.
+
+// Niveles de dificultad
+export const DIFFICULTIES = {
+  easy: { label: 'Fácil', description: 'Curvas Q = a + bP con coeficientes y equilibrio enteros.' },
+  medium: { label: 'Intermedio', description: 'Pendientes no unitarias (incluso decimales) en forma Q = a + bP.' },
+  hard: { label: 'Difícil', description: 'Curvas en forma inversa P = c + dQ y equilibrios con decimales.' },
+};
+
+// Tolerancia de las respuestas numéricas: la mayor entre la absoluta y la relativa al valor correcto
+export const ANSWER_TOLERANCE = { absolute: 0.05, relative: 0.01 };
+
+const MAX_ATTEMPTS = 100; // Intentos para encontrar un mercado que cumpla las condiciones
+
+// Convierte la semilla escrita en un entero de 32 bits (FNV-1a)
+const hashSeed = (text) => {
+  let hash = 0x811C9DC5;
+  for (const char of text) {
+    hash ^= char.codePointAt(0);
+    hash = Math.imul(hash, 0x01000193) >>> 0;
+  }
+  return hash;
+};
+
+/**
+ * Generador pseudoaleatorio reproducible (mulberry32).
+ * @param {string} seed Semilla.
+ * @returns {() => number} Función que devuelve números en [0, 1).
+ */
+export const createRandom = (seed) => {
+  let state = hashSeed(seed);
+  return () => {
+    state = (state + 0x6D2B79F5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+};
+
+// Entero aleatorio en [min, max] y elemento aleatorio de una lista
+const randomInt = (random, min, max) => min + Math.floor(random() * (max - min + 1));
+const pick = (random, list) => list[Math.floor(random() * list.length)];
+
+/**
+ * Semilla nueva para compartir (6 caracteres en minúsculas y dígitos).
+ * @returns {string} Semilla.
+ */
+export const randomSeed = () => Math.random().toString(36).slice(2, 8).padEnd(6, '0');
+
+// Curvas de cada nivel. Las fáciles e intermedias parten de un equilibrio entero; las difíciles, de coeficientes enteros
+const GENERATORS = {
+  easy: (random) => {
+    const price = randomInt(random, 2, 10);
+    const quantity = randomInt(random, 4, 20);
+    const demandSlope = -randomInt(random, 1, 3);
+    const supplySlope = randomInt(random, 1, 3);
+    return {
+      demandEq: formatLinearExpression(demandSlope, quantity - demandSlope * price, 'P'),
+      supplyEq: formatLinearExpression(supplySlope, quantity - supplySlope * price, 'P'),
+    };
+  },
+  medium: (random) => {
+    const price = randomInt(random, 2, 20);
+    const quantity = randomInt(random, 5, 40);
+    const demandSlope = -pick(random, [0.5, 1.5, 2, 2.5, 3, 4]);
+    const supplySlope = pick(random, [0.5, 1, 1.5, 2, 3]);
+    return {
+      demandEq: formatLinearExpression(demandSlope, quantity - demandSlope * price, 'P'),
+      supplyEq: formatLinearExpression(supplySlope, quantity - supplySlope * price, 'P'),
+    };
+  },
+  hard: (random) => {
+    // P = c - dQ (demanda) y P = e + fQ (oferta), con c > e para que se crucen con Q > 0
+    const supplyIntercept = randomInt(random, 0, 15);
+    const demandIntercept = supplyIntercept + randomInt(random, 8, 40);
+    return {
+      demandEq: `P = ${formatLinearExpression(-randomInt(random, 1, 5), demandIntercept, 'Q')}`,
+      supplyEq: `P = ${formatLinearExpression(randomInt(random, 1, 5), supplyIntercept, 'Q')}`,
+    };
+  },
+};
+
+// Escenario con el desplazamiento del ejercicio, en el formato de analyzeMarket
+const shiftScenario = (shift) => ({
+  id: 1,
+  name: 'Después del cambio',
+  color: '#8681BD',
+  visible: true,
+  demandEq: '',
+  supplyEq: '',
+  demandShift: shift.side === 'demand' ? String(shift.amount) : '',
+  supplyShift: shift.side === 'supply' ? String(shift.amount) : '',
+});
+
+// Dirección del cambio de un valor
+const direction = (before, after) => {
+  const tolerance = ANSWER_TOLERANCE.absolute / 10;
+  if (after > before + tolerance) return 'up';
+  if (after < before - tolerance) return 'down';
+  return 'same';
+};
+
+/**
+ * Resuelve un ejercicio con la misma biblioteca que la calculadora.
+ * @param {{ demandEq: string, supplyEq: string, shift: { side: string, amount: number } | null }} exercise Ejercicio.
+ * @returns {{ markets: Array<object>, original: { price: number, quantity: number } | null,
+ *   shifted: { price: number, quantity: number } | null, directions: { price: string, quantity: string } | null }}
+ *   Estados del mercado (con el desarrollo algebraico), equilibrios y dirección de los cambios.
+ */
+export const solveExercise = (exercise) => {
+  const result = analyzeMarket({
+    demandEq: exercise.demandEq,
+    supplyEq: exercise.supplyEq,
+    scenarios: exercise.shift ? [shiftScenario(exercise.shift)] : [],
+  });
+  const [original = null, shifted = null] = result.states.map(state => state.equilibria[0] || null);
+  return {
+    markets: result.markets,
+    original,
+    shifted: exercise.shift ? shifted : null,
+    directions: exercise.shift && original && shifted
+      ? { price: direction(original.price, shifted.price), quantity: direction(original.quantity, shifted.quantity) }
+      : null,
+  };
+};
+
+// Un equilibrio bien planteado tiene precio y cantidad estrictamente positivos
+const isPositive = (point) => point !== null && point.price > 0.01 && point.quantity > 0.01;
+
+// En el nivel fácil también el equilibrio después del cambio debe ser entero
+const isInteger = (point) => [point.price, point.quantity].every(value => Math.abs(value - Math.round(value)) < 1e-6);
+
+/**
+ * Genera el ejercicio número index de un conjunto. El mismo conjunto de opciones produce siempre el mismo ejercicio.
+ * @param {{ seed: string, difficulty: string, withShifts: boolean }} options Semilla, nivel y si hay desplazamientos.
+ * @param {number} index Posición del ejercicio en el conjunto (desde 0).
+ * @returns {{ demandEq: string, supplyEq: string, shift: { side: 'demand' | 'supply', amount: number } | null }} Ejercicio.
+ */
+export const generateExercise = ({ seed, difficulty, withShifts }, index) => {
+  const random = createRandom(`${seed}|${difficulty}|${withShifts ? 1 : 0}|${index}`);
+  for (let attempt = 0; attempt < MAX_ATTEMPTS; attempt++) {
+    const curves = GENERATORS[difficulty](random);
+    const shift = withShifts
+      ? { side: pick(random, ['demand', 'supply']), amount: pick(random, [-1, 1]) * randomInt(random, 2, 8) }
+      : null;
+    const exercise = { ...curves, shift };
+    const solution = solveExercise(exercise);
+    const valid = isPositive(solution.original) && (!shift || isPositive(solution.shifted));
+    if (valid && (difficulty !== 'easy' || !shift || isInteger(solution.shifted))) return exercise;
+  }
+  // Con los rangos de cada nivel esto no debería pasar; un mercado fijo evita devolver un ejercicio inválido
+  return { demandEq: '-P + 16', supplyEq: 'P + 4', shift: withShifts ? { side: 'demand', amount: 4 } : null };
+};
+
+/**
+ * Texto del cambio del ejercicio (ej. "La demanda aumenta en 4 unidades a cada precio").
+ * @param {{ side: string, amount: number }} shift Desplazamiento.
+ * @returns {string} Enunciado del cambio.
+ */
+export const describeShift = (shift) => `La ${shift.side === 'demand' ? 'demanda' : 'oferta'} ${shift.amount > 0 ? 'aumenta' : 'disminuye'} en ${Math.abs(shift.amount)} unidades a cada precio.`;
+
+// Respuesta escrita como número (acepta coma decimal)
+const parseAnswer = (value) => {
+  const text = String(value ?? '').trim().replace(',', '.');
+  return text === '' ? NaN : Number(text);
+};
+
+const withinTolerance = (expected, given) => (
+  Math.abs(given - expected) <= Math.max(ANSWER_TOLERANCE.absolute, ANSWER_TOLERANCE.relative * Math.abs(expected))
+);
+
+/**
+ * Corrige las respuestas de un ejercicio.
+ * @param {object} exercise Ejercicio (generateExercise).
+ * @param {{ price?: string, quantity?: string, shiftedPrice?: string, shiftedQuantity?: string, priceDirection?: string, quantityDirection?: string }} answers
+ *   Respuestas escritas; las direcciones son 'up', 'down' o 'same'.
+ * @returns {{ items: Array<{ key: string, label: string, expected: number | string, given: string, correct: boolean }>, correct: number, total: number }}
+ *   Corrección de cada pregunta y puntaje.
+ */
+export const gradeExercise = (exercise, answers) => {
+  const solution = solveExercise(exercise);
+  const items = [];
+  const numeric = (key, label, expected) => {
+    const given = parseAnswer(answers[key]);
+    items.push({ key, label, expected, given: answers[key] ?? '', correct: Number.isFinite(given) && withinTolerance(expected, given) });
+  };
+  const choice = (key, label, expected) => {
+    items.push({ key, label, expected, given: answers[key] ?? '', correct: answers[key] === expected });
+  };
+  numeric('price', 'Precio de equilibrio', solution.original.price);
+  numeric('quantity', 'Cantidad de equilibrio', solution.original.quantity);
+  if (solution.shifted) {
+    numeric('shiftedPrice', 'Precio después del cambio', solution.shifted.price);
+    numeric('shiftedQuantity', 'Cantidad después del cambio', solution.shifted.quantity);
+    choice('priceDirection', 'Dirección del precio', solution.directions.price);
+    choice('quantityDirection', 'Dirección de la cantidad', solution.directions.quantity);
+  }
+  return { items, correct: items.filter(item => item.correct).length, total: items.length };
+};
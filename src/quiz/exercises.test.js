@@ -0,0 +1,75 @@
+import { describe, expect, it } from 'vitest';
+import { DIFFICULTIES, createRandom, generateExercise, gradeExercise, solveExercise } from './exercises.js';
+
+const SEEDS = ['abc123', 'grupo3a', 'x'];
+
+describe('createRandom', () => {
+  it('repite la secuencia con la misma semilla', () => {
+    const a = createRandom('semilla');
+    const b = createRandom('semilla');
+    const c = createRandom('otra');
+    const first = [a(), a(), a()];
+    expect([b(), b(), b()]).toEqual(first);
+    expect([c(), c(), c()]).not.toEqual(first);
+    first.forEach(value => expect(value >= 0 && value < 1).toBe(true));
+  });
+});
+
+describe('generateExercise', () => {
+  it('da el mismo ejercicio con las mismas opciones', () => {
+    const options = { seed: 'clase', difficulty: 'medium', withShifts: true };
+    expect(generateExercise(options, 2)).toEqual(generateExercise(options, 2));
+    expect(generateExercise(options, 2)).not.toEqual(generateExercise(options, 3));
+  });
+
+  it('genera equilibrios positivos en todos los niveles', () => {
+    Object.keys(DIFFICULTIES).forEach(difficulty => {
+      SEEDS.forEach(seed => {
+        for (let index = 0; index < 5; index++) {
+          const exercise = generateExercise({ seed, difficulty, withShifts: true }, index);
+          const { original, shifted } = solveExercise(exercise);
+          expect(original.price).toBeGreaterThan(0);
+          expect(original.quantity).toBeGreaterThan(0);
+          expect(shifted.price).toBeGreaterThan(0);
+          expect(shifted.quantity).toBeGreaterThan(0);
+          if (difficulty === 'hard') expect(exercise.demandEq.startsWith('P =')).toBe(true);
+        }
+      });
+    });
+  });
+
+  it('en el nivel fácil los equilibrios son enteros', () => {
+    SEEDS.forEach(seed => {
+      const exercise = generateExercise({ seed, difficulty: 'easy', withShifts: true }, 0);
+      const { original, shifted } = solveExercise(exercise);
+      [original.price, original.quantity, shifted.price, shifted.quantity].forEach(value => {
+        expect(value).toBeCloseTo(Math.round(value), 6);
+      });
+    });
+  });
+});
+
+describe('gradeExercise', () => {
+  const exercise = { demandEq: '-P + 16', supplyEq: 'P + 4', shift: { side: 'demand', amount: 4 } };
+
+  it('acepta respuestas dentro de la tolerancia y con coma decimal', () => {
+    // Equilibrio en P = 6, Q = 10; después del aumento de la demanda, P = 8, Q = 12
+    const result = gradeExercise(exercise, {
+      price: '6.04', quantity: '10', shiftedPrice: '8,0', shiftedQuantity: '12.1',
+      priceDirection: 'up', quantityDirection: 'up',
+    });
+    expect(result.items.map(item => item.correct)).toEqual([true, true, true, true, true, true]);
+    expect(result.correct).toBe(6);
+    expect(result.total).toBe(6);
+  });
+
+  it('marca las respuestas fuera de la tolerancia, vacías o con la dirección equivocada', () => {
+    const result = gradeExercise(exercise, { price: '6.2', quantity: '', shiftedPrice: '8', priceDirection: 'down' });
+    expect(result.items.map(item => item.correct)).toEqual([false, false, true, false, false, false]);
+    expect(result.items[0].expected).toBeCloseTo(6);
+  });
+
+  it('sin desplazamiento solo pregunta el equilibrio', () => {
+    expect(gradeExercise({ ...exercise, shift: null }, { price: '6', quantity: '10' }).total).toBe(2);
+  });
+});
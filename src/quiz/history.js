@@ -0,0 +1,42 @@
+import { readJson, writeJson } from '../lib/storage.js';
+
+// Historial de puntajes del modo práctica, guardado solo en este navegador
+
+const STORAGE_KEY = 'oferta-demanda:practica';
+const MAX_ENTRIES = 100; // Se conservan los intentos más recientes
+
+/**
+ * Lee el historial guardado.
+ * @param {Storage} [storage] Almacenamiento a usar (localStorage por defecto).
+ * @returns {Array<{ date: string, seed: string, difficulty: string, exercise: number, correct: number, total: number }>}
+ *   Intentos, del más reciente al más antiguo.
+ */
+export const loadQuizHistory = (storage = globalThis.localStorage) => {
+  const saved = readJson(STORAGE_KEY, [], storage);
+  return Array.isArray(saved)
+    ? saved.filter(entry => entry && typeof entry === 'object' && Number.isFinite(entry.correct) && Number.isFinite(entry.total))
+    : [];
+};
+
+/**
+ * Agrega un intento al historial y lo guarda.
+ * @param {Array<object>} history Historial actual.
+ * @param {object} entry Intento nuevo.
+ * @param {Storage} [storage] Almacenamiento a usar (localStorage por defecto).
+ * @returns {Array<object>} Historial actualizado.
+ */
+export const addQuizResult = (history, entry, storage = globalThis.localStorage) => {
+  const updated = [entry, ...history].slice(0, MAX_ENTRIES);
+  saveQuizHistory(updated, storage);
+  return updated;
+};
+
+/**
+ * Guarda el historial (una lista vacía lo borra).
+ * @param {Array<object>} history Historial a guardar.
+ * @param {Storage} [storage] Almacenamiento a usar (localStorage por defecto).
+ */
+export const saveQuizHistory = (history, storage = globalThis.localStorage) => {
+  // Sin almacenamiento (modo privado o cuota llena) el historial solo dura esta sesión
+  writeJson(STORAGE_KEY, history, storage);
+};
@@ -0,0 +1,19 @@
+import { describe, expect, it } from 'vitest';
+import { createMemoryStorage } from '../test/memoryStorage.js';
+import { addQuizResult, loadQuizHistory, saveQuizHistory } from './history.js';
+
+describe('historial del modo práctica', () => {
+  it('guarda los intentos del más reciente al más antiguo', () => {
+    const storage = createMemoryStorage();
+    const history = addQuizResult(loadQuizHistory(storage), { seed: 'a', correct: 1, total: 2 }, storage);
+    addQuizResult(history, { seed: 'b', correct: 2, total: 2 }, storage);
+    expect(loadQuizHistory(storage).map(entry => entry.seed)).toEqual(['b', 'a']);
+    saveQuizHistory([], storage);
+    expect(loadQuizHistory(storage)).toEqual([]);
+  });
+
+  it('ignora valores corruptos', () => {
+    expect(loadQuizHistory(createMemoryStorage({ 'oferta-demanda:practica': '{no es json' }))).toEqual([]);
+    expect(loadQuizHistory(createMemoryStorage({ 'oferta-demanda:practica': '[{"correct":"x"}]' }))).toEqual([]);
+  });
+});
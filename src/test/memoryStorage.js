@@ -0,0 +1,12 @@
+/**
+ * Almacenamiento en memoria con la interfaz de localStorage que usan las pruebas.
+ * @param {Object<string, string>} [initial] Valores guardados al empezar.
+ * @returns {{ getItem: (key: string) => string | null, setItem: (key: string, value: string) => void }} Almacenamiento.
+ */
+export const createMemoryStorage = (initial = {}) => {
+  const values = { ...initial };
+  return {
+    getItem: (key) => (key in values ? values[key] : null),
+    setItem: (key, value) => { values[key] = value; },
+  };
+};